@@ -0,0 +1,149 @@
+// Contribution level calibration for Histofy extension
+// GitHub shades each day relative to the user's own distribution of daily counts,
+// so commit counts per level have to be derived from that distribution.
+class ContributionCalibrator {
+  constructor(options = {}) {
+    this.maxIterations = options.maxIterations || 10;
+    this.maxCommitsPerDay = options.maxCommitsPerDay || 100;
+
+    // Used when the calendar has no activity to derive quartiles from
+    this.defaultThresholds = { q1: 3, q2: 6, q3: 9 };
+  }
+
+  // Quartile thresholds over the non-zero daily counts
+  computeThresholds(dailyCounts) {
+    const counts = Object.values(dailyCounts)
+      .filter(count => count > 0)
+      .sort((a, b) => a - b);
+
+    if (counts.length === 0) {
+      return { ...this.defaultThresholds, max: 0, activeDays: 0 };
+    }
+
+    const quantile = (p) => counts[Math.max(0, Math.ceil(p * counts.length) - 1)];
+
+    return {
+      q1: quantile(0.25),
+      q2: quantile(0.5),
+      q3: quantile(0.75),
+      max: counts[counts.length - 1],
+      activeDays: counts.length
+    };
+  }
+
+  // Level GitHub renders for a daily total
+  levelForCount(count, thresholds) {
+    if (count <= 0) return 0;
+    if (count <= thresholds.q1) return 1;
+    if (count <= thresholds.q2) return 2;
+    if (count <= thresholds.q3) return 3;
+    return 4;
+  }
+
+  // Inclusive range of daily totals that render at a level
+  rangeForLevel(level, thresholds) {
+    switch (level) {
+      case 1:
+        return { min: 1, max: thresholds.q1 };
+      case 2:
+        return { min: thresholds.q1 + 1, max: thresholds.q2 };
+      case 3:
+        return { min: thresholds.q2 + 1, max: thresholds.q3 };
+      default:
+        return { min: thresholds.q3 + 1, max: Infinity };
+    }
+  }
+
+  getLevelRanges(thresholds) {
+    return {
+      1: this.rangeForLevel(1, thresholds),
+      2: this.rangeForLevel(2, thresholds),
+      3: this.rangeForLevel(3, thresholds),
+      4: this.rangeForLevel(4, thresholds)
+    };
+  }
+
+  // Daily total to aim for - the middle of the level's range
+  pickTargetTotal(level, thresholds) {
+    const range = this.rangeForLevel(level, thresholds);
+    let total;
+
+    if (range.max === Infinity) {
+      total = Math.max(range.min, Math.ceil(thresholds.q3 * 1.25));
+    } else {
+      total = Math.max(range.min, Math.round((range.min + range.max) / 2));
+    }
+
+    return Math.min(total, this.maxCommitsPerDay);
+  }
+
+  // Choose planned commits per date so that existing + planned renders at the target level.
+  // Planned commits shift the distribution themselves, so iterate until the levels settle.
+  // Dates in fixedCounts have an exact commit count chosen by the user and are only added.
+  calibrate(existingCounts, targetLevels, fixedCounts = {}) {
+    const baseline = this.computeThresholds(existingCounts);
+    const dates = Object.keys(targetLevels).filter(date => targetLevels[date] > 0 && !(date in fixedCounts));
+    let thresholds = baseline;
+    let best = null;
+
+    for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+      const commitCounts = { ...fixedCounts };
+      const totals = { ...existingCounts };
+
+      Object.entries(fixedCounts).forEach(([date, count]) => {
+        totals[date] = (existingCounts[date] || 0) + count;
+      });
+
+      dates.forEach(date => {
+        const existing = existingCounts[date] || 0;
+        const target = this.pickTargetTotal(targetLevels[date], thresholds);
+        commitCounts[date] = Math.max(0, target - existing);
+        totals[date] = existing + commitCounts[date];
+      });
+
+      const resulting = this.computeThresholds(totals);
+      const mismatched = dates.filter(date => this.levelForCount(totals[date], resulting) !== targetLevels[date]);
+
+      if (!best || mismatched.length < best.mismatched.length) {
+        best = { commitCounts, thresholds: resulting, mismatched, iterations: iteration };
+      }
+
+      const settled = resulting.q1 === thresholds.q1 &&
+        resulting.q2 === thresholds.q2 &&
+        resulting.q3 === thresholds.q3;
+
+      if (mismatched.length === 0 || settled) {
+        break;
+      }
+
+      thresholds = resulting;
+    }
+
+    return {
+      commitCounts: best ? best.commitCounts : {},
+      baseline: baseline,
+      thresholds: best ? best.thresholds : baseline,
+      levelRanges: this.getLevelRanges(best ? best.thresholds : baseline),
+      unreachable: best ? best.mismatched : [],
+      iterations: best ? best.iterations : 0,
+      converged: !best || best.mismatched.length === 0
+    };
+  }
+
+  // Human readable thresholds, e.g. "L1 1-2 · L2 3-5 · L3 6-9 · L4 10+"
+  describeThresholds(thresholds) {
+    const ranges = this.getLevelRanges(thresholds);
+    return Object.entries(ranges).map(([level, range]) => {
+      if (range.max === Infinity) return `L${level} ${range.min}+`;
+      if (range.min > range.max) return `L${level} none`;
+      return range.min === range.max ? `L${level} ${range.min}` : `L${level} ${range.min}-${range.max}`;
+    }).join(' · ');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContributionCalibrator;
+} else if (typeof window !== 'undefined') {
+  window.ContributionCalibrator = ContributionCalibrator;
+}
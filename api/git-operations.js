@@ -3,6 +3,11 @@ class GitOperations {
   constructor(githubAPI) {
     this.api = githubAPI;
     this.pendingOperations = [];
+    
+    // How far behind the branch head a rewrite may start
+    this.maxRewriteDepth = 1000;
+    // How many commits findCommitsOnDates reads before giving up
+    this.maxDateScan = 5000;
   }
 
   // Initialize git operations
@@ -77,9 +82,324 @@ class GitOperations {
     this.notifyOperationChange('cleared', null);
   }
 
+  // History rewriting. Commits are rebuilt with the git data API from the oldest re-dated
+  // commit up to the branch head, so every one of them (and every descendant) gets a new SHA.
+  async assertBranchRewritable(owner, repo, branch) {
+    this.validateRepository(owner, repo);
+
+    const branchInfo = await this.api.getBranch(owner, repo, branch);
+    if (branchInfo.protected) {
+      throw new Error(`Branch ${branch} is protected - refusing to rewrite its history`);
+    }
+    return branchInfo.commit.sha;
+  }
+
+  // Commits on a branch authored on any of the given dates (YYYY-MM-DD, UTC). The API's
+  // since/until filter on the committer date, which an amend or rebase moves later than the
+  // author date, so list everything committed from a day before the earliest date onwards
+  // and pick commits by author date here. The list is newest first, so stopping early would drop
+  // exactly the commits asked for - too long a list is an error instead.
+  async findCommitsOnDates(owner, repo, branch, dates) {
+    this.validateRepository(owner, repo);
+    const wanted = new Set(dates);
+    wanted.forEach(date => this.validateDate(date));
+    if (wanted.size === 0) {
+      return [];
+    }
+
+    const since = new Date(`${[...wanted].sort()[0]}T00:00:00Z`);
+    since.setUTCDate(since.getUTCDate() - 1);
+    const commits = [];
+    let scanned = 0;
+
+    for await (const commit of this.api.iterateRepositoryCommits(owner, repo, { sha: branch, since: since.toISOString() })) {
+      if (++scanned > this.maxDateScan) {
+        throw new Error(`More than ${this.maxDateScan} commits on ${branch} since ${since.toISOString().split('T')[0]} - choose more recent dates`);
+      }
+      if (wanted.has(commit.commit.author?.date?.slice(0, 10))) {
+        commits.push(this.summarizeCommit(commit));
+      }
+    }
+
+    return commits.sort((a, b) => a.authorDate.localeCompare(b.authorDate));
+  }
+
+  summarizeCommit(commit) {
+    return {
+      sha: commit.sha,
+      message: (commit.commit.message || '').split('\n')[0],
+      authorName: commit.commit.author?.name || 'Unknown',
+      authorDate: commit.commit.author?.date || null,
+      committerDate: commit.commit.committer?.date || null
+    };
+  }
+
+  // Walk first-parent history from headSha, newest first, reading further into the commit
+  // list only as needed. Listing starts at headSha rather than the branch name, so a push
+  // landing mid-walk cannot shift the pages under it. visit(commit) returns false to stop early.
+  async walkFirstParents(owner, repo, headSha, visit, maxCommits = this.maxRewriteDepth) {
+    const bySha = new Map();
+    const listed = this.api.iterateRepositoryCommits(owner, repo, { sha: headSha });
+    let current = headSha;
+    let visited = 0;
+
+    try {
+      while (current && visited < maxCommits) {
+        if (!bySha.has(current)) {
+          const { value, done } = await listed.next();
+          if (done) {
+            break;
+          }
+          bySha.set(value.sha, value);
+          continue;
+        }
+
+        const commit = bySha.get(current);
+        visited++;
+        if (visit(commit) === false) {
+          break;
+        }
+        current = commit.parents[0]?.sha || null;
+      }
+    } finally {
+      await listed.return();
+    }
+  }
+
+  // Most recent first-parent commits of a branch (newest first), for picking a commit range
+  async getBranchHistory(owner, repo, branch, limit = 100) {
+    this.validateRepository(owner, repo);
+    const headSha = (await this.api.getBranch(owner, repo, branch)).commit.sha;
+    const history = [];
+
+    await this.walkFirstParents(owner, repo, headSha, (commit) => {
+      history.push(this.summarizeCommit(commit));
+      return history.length < limit;
+    }, limit);
+
+    return history;
+  }
+
+  // First-parent history from the branch head down to (and including) the oldest of the given
+  // commits that lies on it. Commits that only came in through a merge are reported as missing.
+  async loadBranchChain(owner, repo, branch, headSha, shas, maxCommits = this.maxRewriteDepth) {
+    const wanted = new Set(shas);
+    const chain = [];
+    let oldestFound = -1;
+
+    await this.walkFirstParents(owner, repo, headSha, (commit) => {
+      chain.push(commit);
+      if (wanted.delete(commit.sha)) {
+        oldestFound = chain.length - 1;
+      }
+      return wanted.size > 0;
+    }, maxCommits);
+
+    if (oldestFound < 0) {
+      throw new Error(`None of the selected commits are on the first-parent history of ${branch} within ${maxCommits} commits`);
+    }
+
+    // Oldest first, ready to be rebuilt in order
+    return {
+      chain: chain.slice(0, oldestFound + 1).reverse(),
+      missing: [...wanted]
+    };
+  }
+
+  // Preview a rewrite: redates maps SHA -> { authorDate, committerDate } (ISO strings)
+  async planRewrite(owner, repo, branch, redates) {
+    const headSha = await this.assertBranchRewritable(owner, repo, branch);
+    const shas = Object.keys(redates);
+    shas.forEach(sha => this.validateCommitSha(sha));
 
+    const { chain, missing } = await this.loadBranchChain(owner, repo, branch, headSha, shas);
+    const warnings = [];
+    if (missing.length > 0) {
+      warnings.push(`${missing.length} commit${missing.length === 1 ? ' is' : 's are'} not on the first-parent history of ${branch} and will be left alone`);
+    }
 
+    const commits = chain.map(commit => {
+      const redate = redates[commit.sha];
+      return {
+        ...this.summarizeCommit(commit),
+        redated: Boolean(redate),
+        newAuthorDate: redate ? redate.authorDate : commit.commit.author?.date,
+        newCommitterDate: redate ? redate.committerDate : commit.commit.committer?.date,
+        parents: commit.parents.map(parent => parent.sha),
+        tree: commit.commit.tree.sha,
+        fullMessage: commit.commit.message,
+        author: commit.commit.author,
+        committer: commit.commit.committer,
+        verified: Boolean(commit.commit.verification?.verified)
+      };
+    });
 
+    const signed = commits.filter(commit => commit.verified).length;
+    if (signed > 0) {
+      warnings.push(`${signed} signed commit${signed === 1 ? '' : 's'} will lose ${signed === 1 ? 'its signature' : 'their signatures'}`);
+    }
+    const outOfOrder = commits.filter((commit, index) =>
+      index > 0 && Date.parse(commit.newAuthorDate) < Date.parse(commits[index - 1].newAuthorDate)).length;
+    if (outOfOrder > 0) {
+      warnings.push(`${outOfOrder} commit${outOfOrder === 1 ? ' is' : 's are'} dated before ${outOfOrder === 1 ? 'its' : 'their'} parent after the rewrite`);
+    }
+    const merges = commits.filter(commit => commit.parents.length > 1).length;
+    if (merges > 0) {
+      warnings.push(`${merges} merge commit${merges === 1 ? '' : 's'} will keep ${merges === 1 ? 'its' : 'their'} other parents`);
+    }
+
+    return {
+      repository: `${owner}/${repo}`,
+      owner: owner,
+      repo: repo,
+      branch: branch,
+      headSha: headSha,
+      commits: commits,
+      redatedCount: commits.filter(commit => commit.redated).length,
+      descendantCount: commits.filter(commit => !commit.redated).length,
+      warnings: warnings
+    };
+  }
+
+  // Rebuild the planned chain and force-move the branch onto it
+  async executeRewrite(plan, onProgress = null) {
+    const { owner, repo, branch } = plan;
+
+    // Anything pushed since the preview would be silently dropped
+    const currentHead = await this.assertBranchRewritable(owner, repo, branch);
+    if (currentHead !== plan.headSha) {
+      throw new Error(`Branch ${branch} has moved since the preview - refusing to rewrite`);
+    }
+
+    const shaMap = {};
+    for (let index = 0; index < plan.commits.length; index++) {
+      const commit = plan.commits[index];
+      const parents = index === 0
+        ? commit.parents
+        : [shaMap[commit.parents[0]], ...commit.parents.slice(1)];
+
+      const created = await this.api.createGitCommit(owner, repo, {
+        message: commit.fullMessage,
+        tree: commit.tree,
+        parents: parents,
+        author: { name: commit.author.name, email: commit.author.email, date: commit.newAuthorDate },
+        committer: { name: commit.committer.name, email: commit.committer.email, date: commit.newCommitterDate }
+      });
+
+      shaMap[commit.sha] = created.sha;
+      if (onProgress) {
+        onProgress(index + 1, plan.commits.length, commit, created.sha);
+      }
+    }
+
+    const newHead = shaMap[plan.headSha];
+    await this.api.updateRef(owner, repo, `heads/${branch}`, newHead, true);
+
+    return {
+      oldHead: plan.headSha,
+      newHead: newHead,
+      shaMap: shaMap
+    };
+  }
+
+  // Re-date commits onto one target day, keeping each commit's time of day
+  buildMoveRedates(commits, targetDate) {
+    return this.buildCommitRedates(commits.map(commit => ({ ...commit, targetDate })));
+  }
+
+  // Re-date each commit onto its own targetDate, keeping its time of day.
+  // Commits carry authorDate (and committerDate) or the stored date of a pending change
+  buildCommitRedates(commits) {
+    const redates = {};
+
+    commits.forEach(commit => {
+      this.validateDate(commit.targetDate);
+      const authorDate = commit.authorDate || commit.date;
+      const moveDate = (isoDate) => `${commit.targetDate}${new Date(isoDate).toISOString().substring(10)}`;
+      redates[commit.sha] = {
+        authorDate: moveDate(authorDate),
+        committerDate: moveDate(commit.committerDate || authorDate)
+      };
+    });
+
+    return redates;
+  }
+
+  // Spread commits (oldest first) across startDate..endDate. Modes:
+  // even - equal spacing around the clock, working_hours - Mon-Fri 09:00-17:00 UTC only,
+  // preserve_gaps - the original gaps scaled to the new range. now (ms) is the latest time a
+  // commit may get; pass the time of the preview so deploying later writes the same timestamps
+  buildTimelineRedates(commits, startDate, endDate, distribution = 'even', now = Date.now()) {
+    this.validateDate(startDate);
+    this.validateDate(endDate);
+    if (endDate < startDate) {
+      throw new Error('The timeline must end on or after its start date');
+    }
+    if (commits.length === 0) {
+      throw new Error('Select at least one commit to spread across the timeline');
+    }
+
+    const dayMs = 86400000;
+    const start = Date.parse(`${startDate}T00:00:00Z`);
+    // Never place commits in the future when the range ends today
+    const end = Math.min(Date.parse(`${endDate}T00:00:00Z`) + dayMs - 1000, now);
+    const count = commits.length;
+    let times;
+
+    switch (distribution) {
+      case 'even': {
+        const spacing = (end - start) / count;
+        times = commits.map((commit, index) => start + spacing * (index + 0.5));
+        break;
+      }
+
+      case 'working_hours': {
+        const workStart = 9 * 3600000;
+        const workLength = 8 * 3600000;
+        const workDays = [];
+        for (let day = start; day <= end; day += dayMs) {
+          const weekday = new Date(day).getUTCDay();
+          if (weekday !== 0 && weekday !== 6 && day + workStart < end) {
+            workDays.push(day);
+          }
+        }
+        if (workDays.length === 0) {
+          throw new Error('The timeline has no working days (Mon-Fri)');
+        }
+
+        // The last working day can be cut short when the range ends today
+        const lastLength = Math.min(workLength, end - workDays[workDays.length - 1] - workStart);
+        const total = (workDays.length - 1) * workLength + lastLength;
+        times = commits.map((commit, index) => {
+          const offset = total * (index + 0.5) / count;
+          const day = Math.min(workDays.length - 1, Math.floor(offset / workLength));
+          return workDays[day] + workStart + (offset - day * workLength);
+        });
+        break;
+      }
+
+      case 'preserve_gaps': {
+        const original = commits.map(commit => Date.parse(commit.date || commit.authorDate));
+        const first = Math.min(...original);
+        const span = Math.max(...original) - first;
+        times = original.map((time, index) => span > 0
+          ? start + (time - first) / span * (end - start)
+          : start + (end - start) * (index + 0.5) / count);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown timeline distribution: ${distribution}`);
+    }
+
+    const redates = {};
+    commits.forEach((commit, index) => {
+      const date = new Date(Math.floor(times[index] / 1000) * 1000).toISOString().replace('.000Z', 'Z');
+      redates[commit.sha] = { authorDate: date, committerDate: date };
+    });
+
+    return redates;
+  }
 
   // Utility functions
   generateOperationId() {
@@ -126,17 +446,31 @@ class GitOperations {
     }
   }
 
+  // Load the persistent deployment history written by the deployer
+  async loadOperationHistory() {
+    try {
+      const result = await chrome.storage.local.get(['histofy_data']);
+      return result.histofy_data?.deploymentHistory || [];
+    } catch (error) {
+      console.error('Failed to load operation history:', error);
+      return [];
+    }
+  }
+
   // Statistics and monitoring
-  getOperationStats() {
+  async getOperationStats() {
+    const operationHistory = await this.loadOperationHistory();
     const pending = this.pendingOperations.length;
-    const completed = this.operationHistory.filter(op => op.status === 'completed').length;
-    const failed = this.operationHistory.filter(op => op.status === 'failed').length;
+    const completed = operationHistory.filter(op => op.status === 'completed').length;
+    const partial = operationHistory.filter(op => op.status === 'partial').length;
+    const failed = operationHistory.filter(op => op.status === 'failed').length;
     
     return {
       pending,
       completed,
+      partial,
       failed,
-      total: completed + failed
+      total: completed + partial + failed
     };
   }
 
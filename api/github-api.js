@@ -5,9 +5,33 @@ class GitHubAPI {
     this.token = null;
     this.user = null;
     this.rateLimit = {
+      limit: 5000,
       remaining: 5000,
       resetTime: null
     };
+    
+    // Default cap on items collected from a paginated list endpoint
+    this.paginationLimit = 1000;
+
+    // Requests sent, retries included (the deployer reports calls per commit from this)
+    this.requestCount = 0;
+
+    // Contribution calendars keyed by "username:year"
+    this.calendarCache = new Map();
+    this.calendarCacheTTL = 10 * 60 * 1000;
+
+    // Retry policy for makeRequest; override any field per request with options.retry,
+    // or pass retry: false to send a request exactly once
+    this.retryPolicy = {
+      maxRetries: 3,                       // Retries after the first attempt
+      baseDelay: 1000,                     // First backoff step for 5xx and network errors
+      maxDelay: 30000,                     // Backoff ceiling
+      maxRateLimitWait: 15 * 60 * 1000,    // Longest wait for Retry-After or a rate limit reset
+      secondaryRateLimitDelay: 60000,      // Wait when a secondary rate limit gives no hint
+      retryStatuses: [500, 502, 503, 504],
+      retryFailures: null,                 // Retry 5xx and network errors; null decides per request (isIdempotentRequest)
+      onRetry: null                        // (info) => {} with attempt, delay, reason, endpoint
+    };
     this.init();
   }
 
@@ -122,32 +146,127 @@ class GitHubAPI {
       }
     };
 
+    const { retry, ...fetchOptions } = options;
+    const policy = retry === false
+      ? { ...this.retryPolicy, maxRetries: 0 }
+      : { ...this.retryPolicy, ...(retry || {}) };
+    if (policy.retryFailures === null) {
+      policy.retryFailures = this.isIdempotentRequest(endpoint, fetchOptions.method);
+    }
+
     const requestOptions = {
       ...defaultOptions,
-      ...options,
+      ...fetchOptions,
       headers: {
         ...defaultOptions.headers,
-        ...(options.headers || {})
+        ...(fetchOptions.headers || {})
       }
     };
 
-    try {
-      const response = await fetch(url, requestOptions);
-      
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        this.requestCount++;
+        response = await fetch(url, requestOptions);
+      } catch (error) {
+        // Network failures get the same backoff as 5xx responses
+        if (attempt >= policy.maxRetries || !policy.retryFailures) {
+          console.error('Histofy: API request failed:', error);
+          throw error;
+        }
+        await this.waitBeforeRetry(policy, attempt, this.getBackoffDelay(policy, attempt), `network error: ${error.message}`, endpoint);
+        continue;
+      }
+
       // Update rate limit information
       this.updateRateLimit(response);
-      
-      return response;
-    } catch (error) {
-      console.error('Histofy: API request failed:', error);
-      throw error;
+
+      const retryDelay = attempt < policy.maxRetries ? await this.getRetryDelay(response, policy, attempt) : null;
+      if (retryDelay === null) {
+        return response;
+      }
+
+      await this.waitBeforeRetry(policy, attempt, retryDelay.delay, retryDelay.reason, endpoint);
+    }
+  }
+
+  // How long to wait before retrying a response ({ delay, reason }), or null to return it as is
+  async getRetryDelay(response, policy, attempt) {
+    const { status } = response;
+    if (status !== 403 && status !== 429 && !policy.retryStatuses.includes(status)) {
+      return null;
+    }
+
+    const withinLimit = (delay, reason) => delay <= policy.maxRateLimitWait ? { delay, reason } : null;
+
+    // Secondary rate limits and 503s may say exactly how long to wait
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (!isNaN(retryAfter)) {
+      return withinLimit(retryAfter * 1000, `Retry-After ${retryAfter}s (HTTP ${status})`);
+    }
+
+    // Primary rate limit exhausted: wait for the reset
+    if ((status === 403 || status === 429) && response.headers.get('X-RateLimit-Remaining') === '0') {
+      const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10) * 1000;
+      if (!isNaN(reset)) {
+        return withinLimit(Math.max(0, reset - Date.now()) + 1000, 'rate limit reset');
+      }
+    }
+
+    if (status === 403 || status === 429) {
+      // A plain 403 is a permission problem; only abuse detection is worth waiting out
+      const body = await response.clone().text().catch(() => '');
+      if (status === 429 || /secondary rate limit|abuse/i.test(body)) {
+        return withinLimit(Math.max(policy.secondaryRateLimitDelay, this.getBackoffDelay(policy, attempt)), 'secondary rate limit');
+      }
+      return null;
+    }
+
+    // A failed request may still have been applied, so only repeat it when that is harmless
+    if (!policy.retryFailures) {
+      return null;
+    }
+
+    return { delay: this.getBackoffDelay(policy, attempt), reason: `HTTP ${status}` };
+  }
+
+  // Whether sending a request twice leaves the same result as sending it once. Blobs, trees and
+  // commits are content-addressed, so creating the same one again returns the same object
+  isIdempotentRequest(endpoint, method = 'GET') {
+    if (['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'].includes(method.toUpperCase())) {
+      return true;
+    }
+    return method.toUpperCase() === 'POST' && /\/repos\/[^/]+\/[^/]+\/git\/(blobs|trees|commits)$/.test(endpoint.split('?')[0]);
+  }
+
+  // Exponential backoff with jitter: between half and all of baseDelay * 2^attempt
+  getBackoffDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  async waitBeforeRetry(policy, attempt, delay, reason, endpoint) {
+    console.warn(`Histofy: Retrying ${endpoint} in ${Math.ceil(delay / 1000)}s (${reason}, retry ${attempt + 1}/${policy.maxRetries})`);
+    if (policy.onRetry) {
+      policy.onRetry({ attempt: attempt + 1, delay, reason, endpoint });
     }
+    await new Promise(resolve => setTimeout(resolve, delay));
   }
 
   updateRateLimit(response) {
+    // Only the core REST bucket is tracked; search and GraphQL have their own limits
+    const resource = response.headers.get('X-RateLimit-Resource');
+    if (resource && resource !== 'core') {
+      return;
+    }
+
+    const limit = response.headers.get('X-RateLimit-Limit');
     const remaining = response.headers.get('X-RateLimit-Remaining');
     const resetTime = response.headers.get('X-RateLimit-Reset');
     
+    if (limit) {
+      this.rateLimit.limit = parseInt(limit);
+    }
     if (remaining) {
       this.rateLimit.remaining = parseInt(remaining);
     }
@@ -156,6 +275,65 @@ class GitHubAPI {
     }
   }
 
+  // Pagination
+  // URL of the rel="next" page from a Link header, or null on the last page
+  getNextPageUrl(response) {
+    const link = response.headers.get('Link');
+    if (!link) {
+      return null;
+    }
+
+    const next = link.split(',')
+      .map(part => part.match(/<([^>]+)>;\s*rel="([^"]+)"/))
+      .find(match => match && match[2].split(' ').includes('next'));
+    return next ? next[1] : null;
+  }
+
+  // Every item of a list endpoint, following the Link header from page to page.
+  // Break out of the for await loop to stop early; later pages are never requested
+  async *paginate(endpoint, options = {}) {
+    const { label = 'list', maxPages = Infinity, ...requestOptions } = options;
+    let next = endpoint;
+
+    for (let page = 0; next && page < maxPages; page++) {
+      const response = await this.makeRequest(next, requestOptions);
+      if (!response.ok) {
+        throw new Error(`Failed to get ${label}: ${response.status}`);
+      }
+
+      yield* await response.json();
+      next = this.getNextPageUrl(response);
+    }
+  }
+
+  // All items of a list endpoint in one array, capped at maxItems
+  async collectAll(endpoint, options = {}) {
+    const { maxItems = this.paginationLimit, ...paginateOptions } = options;
+    const items = [];
+
+    for await (const item of this.paginate(endpoint, paginateOptions)) {
+      if (items.length >= maxItems) {
+        console.warn(`Histofy: Stopped listing ${endpoint} after ${maxItems} items`);
+        break;
+      }
+      items.push(item);
+    }
+
+    return items;
+  }
+
+  // Endpoint path with the listed options as query parameters
+  buildEndpoint(path, options, keys) {
+    const params = new URLSearchParams();
+    keys.forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) {
+        params.append(key, options[key]);
+      }
+    });
+
+    return `${path}${params.toString() ? '?' + params.toString() : ''}`;
+  }
+
   // Repository Operations
   async getRepository(owner, repo) {
     try {
@@ -171,29 +349,48 @@ class GitHubAPI {
     }
   }
 
-  async getRepositoryCommits(owner, repo, options = {}) {
+  async deleteRepository(owner, repo) {
     try {
-      const params = new URLSearchParams();
-      if (options.since) params.append('since', options.since);
-      if (options.until) params.append('until', options.until);
-      if (options.author) params.append('author', options.author);
-      if (options.per_page) params.append('per_page', options.per_page);
-      if (options.page) params.append('page', options.page);
-
-      const endpoint = `/repos/${owner}/${repo}/commits${params.toString() ? '?' + params.toString() : ''}`;
-      const response = await this.makeRequest(endpoint);
-      
+      const response = await this.makeRequest(`/repos/${owner}/${repo}`, {
+        method: 'DELETE'
+      });
+
       if (response.ok) {
-        return await response.json();
+        return true;
+      } else if (response.status === 403) {
+        throw new Error('Failed to delete repository: 403 - token needs the delete_repo scope');
       } else {
-        throw new Error(`Failed to get commits: ${response.status}`);
+        throw new Error(`Failed to delete repository: ${response.status}`);
       }
+    } catch (error) {
+      console.error('Histofy: Failed to delete repository:', error);
+      throw error;
+    }
+  }
+
+  // Every matching commit across all pages, up to options.maxItems
+  async getRepositoryCommits(owner, repo, options = {}) {
+    try {
+      return await this.collectAll(this.getRepositoryCommitsEndpoint(owner, repo, options), {
+        label: 'commits',
+        maxItems: options.maxItems
+      });
     } catch (error) {
       console.error('Histofy: Failed to get repository commits:', error);
       throw error;
     }
   }
 
+  // Commits newest first, fetched a page at a time as the caller iterates
+  iterateRepositoryCommits(owner, repo, options = {}) {
+    return this.paginate(this.getRepositoryCommitsEndpoint(owner, repo, options), { label: 'commits' });
+  }
+
+  getRepositoryCommitsEndpoint(owner, repo, options) {
+    return this.buildEndpoint(`/repos/${owner}/${repo}/commits`, { per_page: 100, ...options },
+      ['sha', 'since', 'until', 'author', 'per_page']);
+  }
+
   async getCommit(owner, repo, sha) {
     try {
       const response = await this.makeRequest(`/repos/${owner}/${repo}/commits/${sha}`);
@@ -208,6 +405,20 @@ class GitHubAPI {
     }
   }
 
+  async getBranch(owner, repo, branch) {
+    try {
+      const response = await this.makeRequest(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+      if (response.ok) {
+        return await response.json();
+      } else {
+        throw new Error(`Failed to get branch: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Histofy: Failed to get branch:', error);
+      throw error;
+    }
+  }
+
   // User Operations
   async getCurrentUser() {
     if (this.user) {
@@ -228,22 +439,14 @@ class GitHubAPI {
     }
   }
 
+  // Every repository of the user across all pages, up to options.maxItems
   async getUserRepositories(options = {}) {
     try {
-      const params = new URLSearchParams();
-      if (options.type) params.append('type', options.type);
-      if (options.sort) params.append('sort', options.sort);
-      if (options.per_page) params.append('per_page', options.per_page);
-      if (options.page) params.append('page', options.page);
-
-      const endpoint = `/user/repos${params.toString() ? '?' + params.toString() : ''}`;
-      const response = await this.makeRequest(endpoint);
-      
-      if (response.ok) {
-        return await response.json();
-      } else {
-        throw new Error(`Failed to get user repositories: ${response.status}`);
-      }
+      const endpoint = this.buildEndpoint('/user/repos', { per_page: 100, ...options }, ['type', 'sort', 'per_page']);
+      return await this.collectAll(endpoint, {
+        label: 'user repositories',
+        maxItems: options.maxItems
+      });
     } catch (error) {
       console.error('Histofy: Failed to get user repositories:', error);
       throw error;
@@ -275,6 +478,43 @@ class GitHubAPI {
     }
   }
 
+  // Raw git commit object (tree, parents, author, committer, message)
+  async getGitCommit(owner, repo, sha) {
+    try {
+      const response = await this.makeRequest(`/repos/${owner}/${repo}/git/commits/${sha}`);
+      if (response.ok) {
+        return await response.json();
+      } else {
+        throw new Error(`Failed to get git commit: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Histofy: Failed to get git commit:', error);
+      throw error;
+    }
+  }
+
+  // Create a commit object exactly as given, including author and committer identities
+  async createGitCommit(owner, repo, commit) {
+    try {
+      const response = await this.makeRequest(`/repos/${owner}/${repo}/git/commits`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(commit)
+      });
+
+      if (response.ok) {
+        return await response.json();
+      } else {
+        throw new Error(`Failed to create git commit: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Histofy: Failed to create git commit:', error);
+      throw error;
+    }
+  }
+
   async updateRef(owner, repo, ref, sha, force = false) {
     try {
       const response = await this.makeRequest(`/repos/${owner}/${repo}/git/refs/${ref}`, {
@@ -299,6 +539,107 @@ class GitHubAPI {
     }
   }
 
+  // GraphQL Operations
+  // Queries are read-only and retried like GET requests; pass options.retry for mutations
+  async graphql(query, variables = {}, options = {}) {
+    try {
+      const response = await this.makeRequest('/graphql', {
+        retry: options.retry || { retryFailures: true },
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          query: query,
+          variables: variables
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`GraphQL request failed: ${response.status}`);
+      }
+
+      const result = await response.json();
+      if (result.errors && result.errors.length > 0) {
+        throw new Error(`GraphQL request failed: ${result.errors.map(error => error.message).join('; ')}`);
+      }
+
+      return result.data;
+    } catch (error) {
+      console.error('Histofy: GraphQL request failed:', error);
+      throw error;
+    }
+  }
+
+  // Daily contribution counts for a user and calendar year (cached per year)
+  async getContributionCalendar(username, year, options = {}) {
+    const cacheKey = `${username.toLowerCase()}:${year}`;
+    const cached = this.calendarCache.get(cacheKey);
+    if (cached && !options.refresh && Date.now() - cached.fetchedAt < this.calendarCacheTTL) {
+      return cached;
+    }
+
+    const query = `
+      query($login: String!, $from: DateTime!, $to: DateTime!) {
+        user(login: $login) {
+          contributionsCollection(from: $from, to: $to) {
+            contributionCalendar {
+              totalContributions
+              weeks {
+                contributionDays {
+                  date
+                  contributionCount
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const data = await this.graphql(query, {
+      login: username,
+      from: `${year}-01-01T00:00:00Z`,
+      to: `${year}-12-31T23:59:59Z`
+    });
+
+    if (!data?.user) {
+      throw new Error(`Failed to get contribution calendar: user ${username} not found`);
+    }
+
+    const calendar = data.user.contributionsCollection.contributionCalendar;
+    const days = {};
+    calendar.weeks.forEach(week => {
+      week.contributionDays.forEach(day => {
+        days[day.date] = day.contributionCount;
+      });
+    });
+
+    const result = {
+      username: username,
+      year: parseInt(year),
+      total: calendar.totalContributions,
+      days: days,
+      fetchedAt: Date.now()
+    };
+
+    this.calendarCache.set(cacheKey, result);
+    return result;
+  }
+
+  // Drop cached calendars, e.g. after a deployment changed them
+  clearContributionCalendarCache(username = null) {
+    if (!username) {
+      this.calendarCache.clear();
+      return;
+    }
+
+    const prefix = `${username.toLowerCase()}:`;
+    Array.from(this.calendarCache.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.calendarCache.delete(key));
+  }
+
   // Rate Limit Information
   getRateLimit() {
     return { ...this.rateLimit };
@@ -310,6 +651,7 @@ class GitHubAPI {
       if (response.ok) {
         const data = await response.json();
         this.rateLimit = {
+          limit: data.rate.limit,
           remaining: data.rate.remaining,
           resetTime: new Date(data.rate.reset * 1000)
         };
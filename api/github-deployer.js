@@ -6,8 +6,13 @@ class GitHubDeployer {
       isDeploying: false,
       currentStep: null,
       progress: 0,
-      logs: []
+      logs: [],
+      rateLimitPause: null            // { resumeAt, remaining, reason } while waiting for a rate limit reset or a retry
     };
+
+    // Ticks the status panel through waits taken inside makeRequest
+    this.retryPauseTimer = null;
+    this.previousOnRetry = null;
     
     // Performance optimization caches
     this.commitCache = new Map();
@@ -15,14 +20,58 @@ class GitHubDeployer {
     this.treeCache = new Map();
     this.cachedUser = null;
     
+    // Shared trees for the minimal API usage mode, one pool per repository and run
+    this.treePools = new Map();
+    this.commitContentMode = null;
+    
+    // Backend for dated commits; the GraphQL one is checked per repository and falls back to the git data API
+    this.deploymentBackend = null;
+    this.graphqlCommitSupport = null;
+    
+    // Confirmed dry-run plan for the deployment in progress
+    this.activePlan = null;
+    
+    // Checkpoint journal key for resumable deployments
+    this.checkpointKey = 'histofy_deployment_checkpoint';
+    // Repository whose checkpoint a failed branch update left behind in this run. There is only
+    // one checkpoint, so nothing else is written until it has been resumed
+    this.unresolvedCheckpoint = null;
+    
+    // Per-user level calibration (falls back to fixed commit ranges when unavailable)
+    this.calibrator = typeof ContributionCalibrator !== 'undefined' ? new ContributionCalibrator() : null;
+    this.calibratedCounts = null;
+    
+    // History rewrites (move_commits, move_commits_timeline, redate_commits) run through the git data API helpers in GitOperations
+    this.gitOperations = typeof GitOperations !== 'undefined' ? new GitOperations(githubAPI) : null;
+    
+    // Contribution levels used when a change is expanded from a pattern
+    this.contributionLevels = {
+      1: { level: 1, name: 'Low', commits: '1-3' },
+      2: { level: 2, name: 'Medium', commits: '10-14' },
+      3: { level: 3, name: 'High', commits: '20-24' },
+      4: { level: 4, name: 'Very High', commits: '25+' }
+    };
+    
+    // Day patterns for generate_commits changes (day: 0 = Sunday, index: days since startDate)
+    this.generationPatterns = {
+      daily: { name: 'Every day', matches: () => true },
+      weekdays: { name: 'Weekdays', matches: (day) => day >= 1 && day <= 5 },
+      weekends: { name: 'Weekends', matches: (day) => day === 0 || day === 6 },
+      mwf: { name: 'Mon / Wed / Fri', matches: (day) => day === 1 || day === 3 || day === 5 },
+      alternate: { name: 'Every other day', matches: (day, index) => index % 2 === 0 },
+      random: { name: 'Random (about half the days)', matches: (day, index, date, seed) => parseInt(this.hashContent(`${seed}:${date}`), 36) % 2 === 0 }
+    };
+    
     // Rate limiting and batch configuration
     this.config = {
       maxConcurrentCommits: 3,        // Parallel commit creation limit
       batchSize: 15,                  // Increased batch size for better performance
       apiDelay: 50,                   // Reduced delay between API calls
       cacheSize: 200,                 // Maximum cache entries
-      retryAttempts: 3,               // API retry attempts
-      retryDelay: 1000                // Retry delay in ms
+      rateLimitReserve: 100,          // Calls left untouched for page loads and the rest of the extension
+      commitContentMode: 'unique',    // 'unique' (blob and tree per commit) or 'minimal' (pooled trees)
+      treePoolSize: 4,                // Trees shared by all commits in minimal mode
+      deploymentBackend: 'git_data'   // 'git_data' or 'graphql' (createCommitOnBranch where it can be used)
     };
     
     // Performance monitoring
@@ -31,17 +80,29 @@ class GitHubDeployer {
       commitTimes: [],
       apiCallCount: 0,
       cacheHits: 0,
-      cacheMisses: 0
+      cacheMisses: 0,
+      requestCountStart: 0
     };
   }
 
   // Main deployment function - converts selected dates to real commits
   async deployDateSelections(pendingChanges, options = {}) {
+    // Dry run: walk the same grouping and batching logic but only return the plan
+    if (options.dryRun) {
+      return await this.buildDeploymentPlan(pendingChanges, options);
+    }
+
     if (this.deploymentStatus.isDeploying) {
       throw new Error('Deployment already in progress');
     }
 
     this.deploymentStatus.isDeploying = true;
+    this.attachRetryTracking();
+    this.unresolvedCheckpoint = null;
+    this.activePlan = options.plan || null;
+    this.commitContentMode = this.resolveCommitContentMode(options);
+    this.deploymentBackend = this.resolveDeploymentBackend(options);
+    this.treePools.clear();
     this.deploymentStatus.progress = 0;
     this.deploymentStatus.logs = [];
     
@@ -51,8 +112,15 @@ class GitHubDeployer {
     this.performanceMetrics.cacheHits = 0;
     this.performanceMetrics.cacheMisses = 0;
     this.performanceMetrics.commitTimes = [];
+    this.performanceMetrics.requestCountStart = this.api.requestCount;
 
     let changesByRepo = null; // Declare outside try block for finally access
+    const run = {
+      startedAt: new Date().toISOString(),
+      targetRepository: null,
+      results: null,
+      error: null
+    };
 
     try {
       const results = {
@@ -60,22 +128,66 @@ class GitHubDeployer {
         failed: [],
         repositories: new Map()
       };
+      run.results = results;
 
       // Step 1: Analyze deployment target
       this.updateStatus('Analyzing deployment target...', 5);
       const targetRepo = this.determineTargetRepository(options);
+      run.targetRepository = `${targetRepo.owner}/${targetRepo.repo}`;
 
-      // Step 2: Group changes by repository
+      // Step 2: Group changes by repository (history rewrites name their own repository)
       this.updateStatus('Analyzing pending changes...', 10);
-      changesByRepo = this.groupChangesByRepository(pendingChanges, targetRepo);
+      const rewriteChanges = pendingChanges.filter(change => this.isHistoryRewriteChange(change));
+      changesByRepo = this.groupChangesByRepository(pendingChanges.filter(change => !this.isHistoryRewriteChange(change)), targetRepo);
+
+      // A confirmed plan is already calibrated; otherwise calibrate against the live calendar
+      if (!this.activePlan) {
+        this.calibratedCounts = (await this.calibrateCommitCounts(changesByRepo, options))?.commitCounts || null;
+      }
 
-      // Step 3: Process each repository
+      // Budget the run against the calls left in this rate limit window
+      if (this.activePlan?.apiBudget) {
+        const schedule = await this.getRateLimitSchedule(this.activePlan.apiBudget.total);
+        if (schedule.pauses > 0) {
+          this.log('warning', `~${this.activePlan.apiBudget.total} API calls needed but only ${schedule.remaining} left in this window - the deployment will pause ${schedule.pauses} time(s) for the rate limit to reset`);
+        }
+      }
+
+      // Step 3: Rewrite history exactly as previewed. This runs before any new commits are pushed,
+      // so they land on the rewritten branch instead of being rewritten unseen. Each rewrite gives
+      // later commits new SHAs, so the rewrites confirmed after it are carried over onto them
+      const rewritten = { shaMap: {}, dates: {} };
+      for (const [index, change] of rewriteChanges.entries()) {
+        try {
+          const confirmed = this.getConfirmedRewritePlan(change, index);
+          const plan = confirmed
+            ? this.remapRewritePlan(confirmed, rewritten)
+            : await this.planHistoryRewrite(this.remapRewriteChange(change, rewritten.shaMap));
+          const rewrite = await this.deployHistoryRewrite(plan, change, results);
+
+          Object.keys(rewritten.shaMap).forEach(sha => {
+            rewritten.shaMap[sha] = rewrite.shaMap[rewritten.shaMap[sha]] || rewritten.shaMap[sha];
+          });
+          Object.assign(rewritten.shaMap, rewrite.shaMap);
+          plan.commits.forEach(commit => {
+            rewritten.dates[rewrite.shaMap[commit.sha]] = {
+              authorDate: commit.newAuthorDate,
+              committerDate: commit.newCommitterDate
+            };
+          });
+        } catch (error) {
+          this.log('error', `Failed to rewrite history of ${change.repository}: ${error.message}`);
+          results.failed.push({ ...change, error: error.message });
+        }
+      }
+
+      // Step 4: Process each repository
       let processedRepos = 0;
       const totalRepos = Object.keys(changesByRepo).length;
 
       for (const [repoKey, changes] of Object.entries(changesByRepo)) {
         try {
-          this.updateStatus(`Processing repository: ${repoKey}`, 15 + (processedRepos * 75 / totalRepos));
+          this.updateStatus(`Processing repository: ${repoKey}`, 25 + (processedRepos * 65 / totalRepos));
           
           const repoResult = await this.deployToRepository(repoKey, changes, options);
           results.repositories.set(repoKey, repoResult);
@@ -92,6 +204,11 @@ class GitHubDeployer {
 
       this.updateStatus('Deployment completed!', 100);
       
+      // Contribution calendars now include the new commits
+      if (results.successful.length > 0) {
+        this.api.clearContributionCalendarCache(this.api.user?.login);
+      }
+      
       // Performance optimization: manage cache sizes after deployment
       this.manageCaches();
       
@@ -102,9 +219,15 @@ class GitHubDeployer {
 
     } catch (error) {
       this.log('error', `Deployment failed: ${error.message}`);
+      run.error = error.message;
       throw error;
     } finally {
       this.deploymentStatus.isDeploying = false;
+      this.detachRetryTracking();
+      this.activePlan = null;
+      this.calibratedCounts = null;
+      
+      await this.recordDeploymentRun(run);
       
       // Clear caches after large deployments to free memory
       if (changesByRepo && Object.keys(changesByRepo).length > 5) {
@@ -113,6 +236,411 @@ class GitHubDeployer {
     }
   }
 
+  // Build a dry-run plan describing every commit a deployment would create
+  async buildDeploymentPlan(pendingChanges, options = {}) {
+    const targetRepo = this.determineTargetRepository(options);
+    const rewriteChanges = pendingChanges.filter(change => this.isHistoryRewriteChange(change));
+    const changesByRepo = this.groupChangesByRepository(pendingChanges.filter(change => !this.isHistoryRewriteChange(change)), targetRepo);
+    const author = await this.getCommitAuthor();
+    const calibration = await this.calibrateCommitCounts(changesByRepo, options);
+
+    const plan = {
+      dryRun: true,
+      generatedAt: new Date().toISOString(),
+      targetRepository: `${targetRepo.owner}/${targetRepo.repo}`,
+      author: author,
+      batchSize: this.config.batchSize,
+      commitContentMode: this.resolveCommitContentMode(options),
+      deploymentBackend: this.resolveDeploymentBackend(options),
+      calibration: calibration ? calibration.summaries : [],
+      repositories: [],
+      rewrites: [],
+      commitCounts: {},
+      totalDates: 0,
+      totalCommits: 0,
+      apiBudget: null,
+      rateLimit: null
+    };
+
+    for (const [repoKey, changes] of Object.entries(changesByRepo)) {
+      const [owner, repoName] = repoKey.split('/');
+      const repoInfo = await this.inspectRepositoryForPlan(owner, repoName, options);
+
+      const repoPlan = {
+        repository: repoKey,
+        branch: repoInfo.branch,
+        exists: repoInfo.exists,
+        willCreate: repoInfo.willCreate,
+        dates: [],
+        batches: 0,
+        totalCommits: 0
+      };
+      plan.commitCounts[repoKey] = {};
+
+      for (const change of changes) {
+        const selection = this.getDateSelection(change);
+        if (!selection) {
+          continue;
+        }
+
+        // Same chronological ordering and batching as createCommitsForDates
+        const sortedDates = [...selection.dates].sort((a, b) => new Date(a) - new Date(b));
+        repoPlan.batches += Math.ceil(sortedDates.length / this.config.batchSize);
+
+        sortedDates.forEach(date => {
+          const contribution = selection.contributions[date] || { level: 1, name: 'Low', commits: '1-3' };
+          const calibratedCount = calibration?.commitCounts?.[repoKey]?.[date];
+          let commitCount = Number.isInteger(calibratedCount) ? calibratedCount : this.getCommitCountForLevel(contribution.level);
+          if (Number.isInteger(contribution.commitCount)) {
+            commitCount = contribution.commitCount;
+          }
+          const timestamp = this.getCommitTimestamp(date);
+
+          const commits = [];
+          for (let i = 1; i <= commitCount; i++) {
+            commits.push({
+              message: this.generateOptimizedCommitMessage(date, i, commitCount, contribution),
+              timestamp: timestamp
+            });
+          }
+
+          plan.commitCounts[repoKey][date] = commitCount;
+          repoPlan.dates.push({
+            date: date,
+            level: contribution.level,
+            levelName: Number.isInteger(contribution.commitCount) ? 'Exact' : contribution.name,
+            commitCount: commitCount,
+            commits: commits
+          });
+          repoPlan.totalCommits += commitCount;
+        });
+      }
+
+      // The same capability check the live run makes before using createCommitOnBranch
+      repoPlan.backend = 'git_data';
+      if (plan.deploymentBackend === 'graphql') {
+        const reason = await this.getGraphQLUnavailableReason(repoPlan.dates.map(entry => entry.date), repoInfo.exists);
+        if (reason) {
+          repoPlan.backendNote = `GraphQL backend unavailable: ${reason} - the git data API is used instead`;
+        } else {
+          repoPlan.backend = 'graphql';
+        }
+      }
+
+      plan.repositories.push(repoPlan);
+      plan.totalDates += repoPlan.dates.length;
+      plan.totalCommits += repoPlan.totalCommits;
+    }
+
+    // History rewrites are previewed in full, including descendants that get new SHAs
+    for (const change of rewriteChanges) {
+      try {
+        plan.rewrites.push({ ...await this.planHistoryRewrite(change), changeId: change.id || null });
+      } catch (error) {
+        plan.rewrites.push({ repository: change.repository, branch: change.branch || null, changeId: change.id || null, error: error.message });
+      }
+    }
+
+    plan.apiBudget = this.estimateApiCalls(plan);
+    plan.rateLimit = await this.getRateLimitSchedule(plan.apiBudget.total);
+    this.log('info', `Dry run: ${plan.totalCommits} commits across ${plan.totalDates} dates, ~${plan.apiBudget.total} API calls`);
+
+    return plan;
+  }
+
+  // Derive per-date commit counts from the user's real contribution distribution
+  async calibrateCommitCounts(changesByRepo, options = {}) {
+    if (!this.calibrator || options.calibrate === false) {
+      return null;
+    }
+
+    // Commits are authored by the token owner, so that is the calendar they land on
+    const username = this.api.user?.login;
+    if (!username) {
+      return null;
+    }
+
+    // Target level (or exact count) per date, grouped by calendar year
+    const targetsByYear = {};
+    const fixedByYear = {};
+    const dateOwners = {};
+    for (const [repoKey, changes] of Object.entries(changesByRepo)) {
+      for (const change of changes) {
+        const selection = this.getDateSelection(change);
+        if (!selection) {
+          continue;
+        }
+
+        selection.dates.forEach(date => {
+          // A date selected for several repositories is calibrated once
+          if (dateOwners[date]) {
+            return;
+          }
+          dateOwners[date] = repoKey;
+
+          const year = date.substring(0, 4);
+          const contribution = selection.contributions[date] || { level: 1 };
+          targetsByYear[year] = targetsByYear[year] || {};
+          fixedByYear[year] = fixedByYear[year] || {};
+          targetsByYear[year][date] = contribution.level;
+          if (Number.isInteger(contribution.commitCount)) {
+            fixedByYear[year][date] = contribution.commitCount;
+          }
+        });
+      }
+    }
+
+    const commitCounts = {};
+    const summaries = [];
+
+    for (const [year, targets] of Object.entries(targetsByYear)) {
+      try {
+        const calendar = await this.api.getContributionCalendar(username, year);
+        const calibration = this.calibrator.calibrate(calendar.days, targets, fixedByYear[year]);
+
+        Object.entries(calibration.commitCounts).forEach(([date, count]) => {
+          const repoKey = dateOwners[date];
+          commitCounts[repoKey] = commitCounts[repoKey] || {};
+          commitCounts[repoKey][date] = count;
+        });
+
+        summaries.push({
+          username: username,
+          year: parseInt(year),
+          baseline: calibration.baseline,
+          thresholds: calibration.thresholds,
+          baselineDescription: this.calibrator.describeThresholds(calibration.baseline),
+          description: this.calibrator.describeThresholds(calibration.thresholds),
+          unreachable: calibration.unreachable,
+          converged: calibration.converged
+        });
+
+        this.log('info', `Calibrated ${year} levels for ${username}: ${this.calibrator.describeThresholds(calibration.thresholds)}`);
+        if (!calibration.converged) {
+          this.log('warning', `${calibration.unreachable.length} date(s) in ${year} cannot reach their chosen shade with existing activity`);
+        }
+      } catch (error) {
+        this.log('warning', `Could not calibrate ${year} levels, using default commit ranges: ${error.message}`);
+      }
+    }
+
+    return { commitCounts, summaries };
+  }
+
+  // Read-only repository lookup used by dry runs
+  async inspectRepositoryForPlan(owner, repoName, options = {}) {
+    try {
+      const repository = await this.api.getRepository(owner, repoName);
+      return {
+        exists: true,
+        willCreate: false,
+        branch: repository.default_branch || 'main'
+      };
+    } catch (error) {
+      if (error.message.includes('404')) {
+        return {
+          exists: false,
+          willCreate: options.createIfNotExists !== false,
+          branch: 'main'
+        };
+      }
+      throw error;
+    }
+  }
+
+  // Estimate the REST calls a plan will spend
+  estimateApiCalls(plan) {
+    const perCommit = this.getApiCallsPerCommit(plan.commitContentMode);
+    let setupCalls = 0;
+    let commitCalls = 0;
+    let graphqlCalls = 0;
+
+    plan.repositories.forEach(repoPlan => {
+      // One mutation per commit, spent from the separate GraphQL budget
+      if (repoPlan.backend === 'graphql') {
+        setupCalls += 5 + (repoPlan.willCreate ? 1 : 0);
+        graphqlCalls += repoPlan.totalCommits;
+        return;
+      }
+
+      commitCalls += repoPlan.totalCommits * perCommit;
+
+      // Repository lookup, branch lookup, HEAD reads, HEAD update, README read/write, rollback snapshots
+      // and the parent lookup of the first commit
+      setupCalls += 9 + (repoPlan.willCreate ? 1 : 0);
+      // Minimal mode builds its tree pool once, unique mode looks up existing content once per date
+      setupCalls += plan.commitContentMode === 'minimal'
+        ? this.getTreePoolSize() * 2
+        : repoPlan.dates.length;
+    });
+
+    // Rewrites: branch check, history pages, one commit per rebuilt commit and the ref update
+    (plan.rewrites || []).filter(rewrite => rewrite.commits).forEach(rewrite => {
+      setupCalls += 3 + Math.ceil(rewrite.commits.length / 100) + rewrite.commits.length;
+    });
+
+    return {
+      perCommit: perCommit,
+      commitCalls: commitCalls,
+      graphqlCalls: graphqlCalls,
+      setupCalls: setupCalls,
+      total: commitCalls + setupCalls
+    };
+  }
+
+  resolveCommitContentMode(options = {}) {
+    return ['unique', 'minimal'].includes(options.commitContentMode)
+      ? options.commitContentMode
+      : this.config.commitContentMode;
+  }
+
+  resolveDeploymentBackend(options = {}) {
+    return ['git_data', 'graphql'].includes(options.deploymentBackend)
+      ? options.deploymentBackend
+      : this.config.deploymentBackend;
+  }
+
+  // Why createCommitOnBranch cannot deploy these dates, or null when it can. The mutation
+  // always stamps commits with the current time and only extends an existing branch
+  async getGraphQLUnavailableReason(dates, hasHead) {
+    if (!hasHead) {
+      return 'the branch has no commits yet';
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const otherDates = dates.filter(date => date !== today).length;
+    if (otherDates > 0) {
+      return `createCommitOnBranch always dates commits now, and ${otherDates} date(s) are not today (UTC)`;
+    }
+
+    if (!await this.checkGraphQLCommitSupport()) {
+      return 'the GraphQL API does not offer createCommitOnBranch for this token';
+    }
+
+    return null;
+  }
+
+  // Ask the schema for the mutation's input type once per session
+  async checkGraphQLCommitSupport() {
+    if (this.graphqlCommitSupport === null) {
+      try {
+        const data = await this.api.graphql('query { __type(name: "CreateCommitOnBranchInput") { name } }');
+        this.graphqlCommitSupport = Boolean(data?.__type);
+      } catch (error) {
+        // Not cached, the next deployment checks again
+        this.log('warning', `GraphQL capability check failed: ${error.message}`);
+        return false;
+      }
+    }
+
+    return this.graphqlCommitSupport;
+  }
+
+  // Commit object only with pooled trees; blob, tree and commit object with unique content
+  getApiCallsPerCommit(mode) {
+    return mode === 'minimal' ? 1 : 3;
+  }
+
+  // Compare an API call estimate with the calls left in the current rate limit window
+  async getRateLimitSchedule(totalCalls) {
+    try {
+      await this.api.checkRateLimit();
+    } catch (error) {
+      this.log('warning', `Could not check the rate limit, using the last known values: ${error.message}`);
+    }
+
+    const rateLimit = this.api.getRateLimit();
+    const reserve = this.config.rateLimitReserve;
+    const usable = Math.max(0, rateLimit.remaining - reserve);
+    const perWindow = Math.max(1, rateLimit.limit - reserve);
+    const pauses = totalCalls <= usable ? 0 : Math.ceil((totalCalls - usable) / perWindow);
+    const untilReset = rateLimit.resetTime ? Math.max(0, rateLimit.resetTime.getTime() - Date.now()) : 0;
+
+    return {
+      limit: rateLimit.limit,
+      remaining: rateLimit.remaining,
+      resetTime: rateLimit.resetTime ? rateLimit.resetTime.toISOString() : null,
+      pauses: pauses,
+      // The first pause lasts until the current window resets, every later one about an hour
+      estimatedWait: pauses > 0 ? untilReset + (pauses - 1) * 3600000 : 0
+    };
+  }
+
+  // Pause until the rate limit window resets when the next calls would dig into the reserve
+  async waitForRateLimitBudget(calls) {
+    const { limit, remaining, resetTime } = this.api.getRateLimit();
+    const reserve = this.config.rateLimitReserve;
+    // A step larger than a whole window only waits for a fresh one
+    const needed = Math.min(calls, limit - reserve * 2);
+    if (!resetTime || remaining - needed >= reserve) {
+      return;
+    }
+
+    // A second of slack so the request after the pause lands in the new window
+    const resumeAt = resetTime.getTime() + 1000;
+    if (resumeAt <= Date.now()) {
+      return;
+    }
+
+    this.log('warning', `${remaining} API calls left, ${calls} needed next - pausing until the rate limit resets at ${resetTime.toLocaleTimeString()}`);
+    this.deploymentStatus.rateLimitPause = { resumeAt: resumeAt, remaining: remaining, reason: null };
+
+    try {
+      // Broadcast every second so the status panel can count down
+      while (Date.now() < resumeAt) {
+        this.deploymentStatus.currentStep = 'Waiting for the API rate limit to reset...';
+        this.broadcastStatus();
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000, resumeAt - Date.now())));
+      }
+    } finally {
+      this.deploymentStatus.rateLimitPause = null;
+    }
+
+    try {
+      await this.api.checkRateLimit();
+    } catch (error) {
+      this.log('warning', `Could not check the rate limit after the pause: ${error.message}`);
+    }
+    this.updateStatus(`Rate limit reset, ${this.api.getRateLimit().remaining} calls available - resuming deployment`, this.deploymentStatus.progress);
+  }
+
+  // Waits makeRequest takes by itself (Retry-After, secondary limits, backoff) are shown in the
+  // status panel like budget pauses for as long as the run lasts
+  attachRetryTracking() {
+    this.previousOnRetry = this.api.retryPolicy.onRetry;
+    this.api.retryPolicy.onRetry = (info) => this.trackRetryPause(info);
+  }
+
+  detachRetryTracking() {
+    this.api.retryPolicy.onRetry = this.previousOnRetry || null;
+    this.previousOnRetry = null;
+    this.clearRetryPause();
+  }
+
+  trackRetryPause({ delay, reason, endpoint }) {
+    this.clearRetryPause();
+    const resumeAt = Date.now() + delay;
+    this.log('warning', `Retrying ${endpoint} in ${Math.ceil(delay / 1000)}s (${reason})`);
+    this.deploymentStatus.rateLimitPause = { resumeAt: resumeAt, remaining: this.api.getRateLimit().remaining, reason: reason };
+
+    const tick = () => {
+      if (Date.now() >= resumeAt) {
+        this.clearRetryPause();
+      }
+      this.broadcastStatus();
+    };
+    this.retryPauseTimer = setInterval(tick, 1000);
+    tick();
+  }
+
+  clearRetryPause() {
+    if (this.retryPauseTimer) {
+      clearInterval(this.retryPauseTimer);
+      this.retryPauseTimer = null;
+      this.deploymentStatus.rateLimitPause = null;
+    }
+  }
+
   // Determine target repository based on options
   determineTargetRepository(options) {
     if (options.targetRepository) {
@@ -149,6 +677,9 @@ class GitHubDeployer {
     // Step 2: Get the repository's main branch
     const mainBranch = await this.getMainBranch(owner, repoName);
     
+    // Remember where the branch was so the deployment can be rolled back
+    const preDeployHead = await this.getBranchHeadIfExists(owner, repoName, mainBranch);
+    
     // Step 3: Process date selections and create commits
     const results = {
       successful: [],
@@ -157,14 +688,17 @@ class GitHubDeployer {
     };
 
     for (const change of changes) {
-      if (change.type === 'date_selection') {
+      if (this.isDateBasedChange(change)) {
         try {
+          // Pattern changes such as generate_commits expand into dated contributions here
+          const selection = this.getDateSelection(change);
           const commitResults = await this.createCommitsForDates(
             owner, 
             repoName, 
-            change.dates || [], 
-            change.contributions || {},
-            mainBranch
+            selection.dates, 
+            selection.contributions,
+            mainBranch,
+            { changeId: change.id || null }
           );
           
           results.successful.push(...commitResults.successful);
@@ -184,7 +718,7 @@ class GitHubDeployer {
             errorMessage = 'Repository not found or not accessible';
           }
           
-          this.log('error', `Failed to process date selection: ${errorMessage}`);
+          this.log('error', `Failed to process ${change.type}: ${errorMessage}`);
           results.failed.push({ ...change, error: errorMessage });
         }
       }
@@ -205,12 +739,127 @@ class GitHubDeployer {
       };
       
       await this.createContributionReadme(owner, repoName, deploymentStats);
+
+      await this.recordDeployment({
+        owner: owner,
+        repo: repoName,
+        branch: mainBranch,
+        preDeployHead: preDeployHead,
+        commits: results.successful,
+        createdRepository: Boolean(repository.histofyCreated)
+      });
     }
 
     this.log('success', `Completed deployment to ${owner}/${repoName}: ${results.successful.length} successful, ${results.failed.length} failed`);
     return results;
   }
 
+  // Persist a deployment record so it can be rolled back later
+  async recordDeployment({ owner, repo, branch, preDeployHead, commits, createdRepository, kind = 'deployment' }) {
+    if (!window.histofyStorage) {
+      return null;
+    }
+
+    try {
+      const postDeployHead = await this.getBranchHeadIfExists(owner, repo, branch);
+      const dates = commits.map(commit => commit.date).sort();
+
+      // A repository created by an earlier Histofy deployment stays deletable
+      const previousRecords = await window.histofyStorage.getDeploymentRecords();
+      const createdByHistofy = createdRepository || previousRecords.some(previous =>
+        previous.repository === `${owner}/${repo}` && previous.createdRepository
+      );
+
+      const record = {
+        repository: `${owner}/${repo}`,
+        kind: kind,
+        owner: owner,
+        repo: repo,
+        branch: branch,
+        preDeployHead: preDeployHead,
+        postDeployHead: postDeployHead,
+        commits: commits.map(commit => ({ sha: commit.sha, date: commit.date })),
+        commitCount: commits.length,
+        dateRange: {
+          start: dates[0] || null,
+          end: dates[dates.length - 1] || null
+        },
+        createdRepository: createdByHistofy,
+        status: 'completed',
+        deployedAt: new Date().toISOString()
+      };
+
+      const recordId = await window.histofyStorage.addDeploymentRecord(record);
+      this.log('info', `Recorded deployment ${recordId} (${preDeployHead ? preDeployHead.substring(0, 7) : 'empty'} → ${postDeployHead ? postDeployHead.substring(0, 7) : 'none'})`);
+      return recordId;
+    } catch (error) {
+      this.log('warning', `Failed to record deployment: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Force-reset a branch to where it was before a recorded deployment
+  async rollbackDeployment(record) {
+    const { owner, repo, branch } = record;
+
+    if (!record.preDeployHead) {
+      throw new Error('The branch did not exist before this deployment - delete the repository instead');
+    }
+
+    // Refuse if anything has been pushed since the deployment
+    const currentHead = await this.getBranchHeadIfExists(owner, repo, branch);
+    if (currentHead !== record.postDeployHead) {
+      throw new Error(`Branch ${branch} has moved since this deployment - refusing to roll back`);
+    }
+
+    this.log('warning', `Rolling back ${owner}/${repo}@${branch} to ${record.preDeployHead}`);
+    await this.api.updateRef(owner, repo, `heads/${branch}`, record.preDeployHead, true);
+
+    // Verify the reset actually landed
+    const resetHead = await this.getBranchHeadIfExists(owner, repo, branch);
+    if (resetHead !== record.preDeployHead) {
+      throw new Error(`Rollback verification failed - ${branch} points to ${resetHead}`);
+    }
+
+    if (window.histofyStorage) {
+      await window.histofyStorage.updateDeploymentRecord(record.id, {
+        status: 'rolled_back',
+        rolledBackAt: new Date().toISOString()
+      });
+    }
+
+    this.api.clearContributionCalendarCache(this.api.user?.login);
+    this.log('success', `Rolled back ${record.commitCount} commits from ${owner}/${repo}`);
+    return true;
+  }
+
+  // Delete a repository Histofy created for a recorded deployment
+  async deleteDeploymentRepository(record) {
+    const { owner, repo, branch } = record;
+
+    if (!record.createdRepository) {
+      throw new Error(`${owner}/${repo} was not created by Histofy - refusing to delete it`);
+    }
+
+    const currentHead = await this.getBranchHeadIfExists(owner, repo, branch);
+    if (currentHead !== record.postDeployHead) {
+      throw new Error(`Branch ${branch} has moved since this deployment - refusing to delete the repository`);
+    }
+
+    await this.api.deleteRepository(owner, repo);
+
+    if (window.histofyStorage) {
+      await window.histofyStorage.updateDeploymentRecord(record.id, {
+        status: 'repository_deleted',
+        rolledBackAt: new Date().toISOString()
+      });
+    }
+
+    this.api.clearContributionCalendarCache(this.api.user?.login);
+    this.log('success', `Deleted repository ${owner}/${repo}`);
+    return true;
+  }
+
   // Get existing repository or determine if we need to create one
   async getOrCreateRepository(owner, repoName, options = {}) {
     try {
@@ -234,7 +883,8 @@ class GitHubDeployer {
           
           if (currentUser.login === owner) {
             this.log('info', `Creating new repository: ${owner}/${repoName}`);
-            return await this.createRepository(repoName, options);
+            const createdRepo = await this.createRepository(repoName, options);
+            return { ...createdRepo, histofyCreated: true };
           } else {
             throw new Error(`Repository ${owner}/${repoName} not found and cannot create repository for different user`);
           }
@@ -261,7 +911,9 @@ class GitHubDeployer {
         this.log('info', `Creating new repository: ${finalRepoName} (forced creation)`);
       }
       
+      // Not retried on failure: a repository created by a lost request would make the retry fail
       const response = await this.api.makeRequest('/user/repos', {
+        retry: { retryFailures: false },
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -316,16 +968,24 @@ class GitHubDeployer {
   }
 
   // Create commits for selected dates using GitHub API
-  async createCommitsForDates(owner, repo, dates, contributions, baseBranch) {
+  async createCommitsForDates(owner, repo, dates, contributions, baseBranch, checkpoint = null) {
     const results = {
       successful: [],
       failed: []
     };
 
-    if (!dates || dates.length === 0) {
+    // A resumed checkpoint may have no dates left and only need the branch update
+    const isResume = Boolean(checkpoint?.resumed);
+
+    if ((!dates || dates.length === 0) && !isResume) {
       return results;
     }
 
+    // Starting here would overwrite the checkpoint that is still needed to finish that repository
+    if (!isResume && this.unresolvedCheckpoint) {
+      throw new Error(`Not deploying: the branch update of ${this.unresolvedCheckpoint} failed - resume that deployment first`);
+    }
+
     this.log('info', `Creating commits for ${dates.length} dates`);
 
     // Sort dates chronologically
@@ -334,7 +994,12 @@ class GitHubDeployer {
     // Get the current HEAD of the branch, or null if repository is empty
     let currentSha;
     try {
-      currentSha = await this.getBranchHead(owner, repo, baseBranch);
+      if (isResume) {
+        currentSha = checkpoint.lastSha;
+        this.log('info', `Resuming from checkpoint commit ${currentSha || '(branch start)'}`);
+      } else {
+        currentSha = await this.getBranchHead(owner, repo, baseBranch);
+      }
     } catch (error) {
       // Repository is empty (no initial commit) - we'll create the first commit manually
       if (error.message.includes('404')) {
@@ -356,6 +1021,24 @@ class GitHubDeployer {
       }
     }
     
+    // The GraphQL backend takes the dates when it can, otherwise say why and fall back
+    if (this.deploymentBackend === 'graphql' && !isResume) {
+      const reason = await this.getGraphQLUnavailableReason(sortedDates, Boolean(currentSha));
+      if (reason) {
+        this.log('warning', `GraphQL backend unavailable for ${owner}/${repo}: ${reason} - using the git data API`);
+      } else {
+        try {
+          return await this.createCommitsWithGraphQL(owner, repo, baseBranch, currentSha, sortedDates, contributions);
+        } catch (error) {
+          if (this.isNetworkError(error)) {
+            throw error;
+          }
+          // Only reached when the very first mutation failed, so the branch is untouched
+          this.log('warning', `createCommitOnBranch failed (${error.message}) - falling back to the git data API`);
+        }
+      }
+    }
+    
     // Batch process for performance - process dates in optimized chunks
     const BATCH_SIZE = this.config.batchSize;
     const batches = [];
@@ -366,6 +1049,20 @@ class GitHubDeployer {
     let processedDates = 0;
     const totalDates = sortedDates.length;
 
+    // Journal progress so an interrupted deployment can continue from the last batch
+    const journal = {
+      targetRepository: `${owner}/${repo}`,
+      owner: owner,
+      repo: repo,
+      branch: baseBranch,
+      changeId: checkpoint?.changeId || null,
+      commitContentMode: this.commitContentMode,
+      baseSha: isResume ? checkpoint.baseSha : currentSha,
+      createdCommits: isResume ? (checkpoint.createdCommits || 0) : 0,
+      startedAt: checkpoint?.startedAt || new Date().toISOString()
+    };
+    await this.saveCheckpoint(this.buildCheckpoint(journal, currentSha, sortedDates, contributions));
+
     for (const batch of batches) {
       this.updateStatus(`Processing batch ${Math.floor(processedDates / BATCH_SIZE) + 1}/${batches.length}...`, 
         20 + (processedDates / totalDates) * 60);
@@ -386,31 +1083,288 @@ class GitHubDeployer {
       }
       
       processedDates += batch.length;
+      journal.createdCommits += batchResults.createdCount;
+
+      await this.saveCheckpoint(
+        this.buildCheckpoint(journal, currentSha, sortedDates.slice(processedDates), contributions)
+      );
+
+      // Optimized delay between batches to prevent rate limiting
+      if (batches.length > 1) {
+        await new Promise(resolve => setTimeout(resolve, this.config.apiDelay));
+      }
+    }
+
+    // Update the branch to point to the latest commit
+    if (currentSha && currentSha !== journal.baseSha) {
+      try {
+        this.updateStatus('Finalizing deployment...', 85);
+        await this.updateBranchHead(owner, repo, baseBranch, currentSha);
+        this.log('success', `Updated ${baseBranch} branch with ${journal.createdCommits} new commits`);
+        await this.clearCheckpoint();
+      } catch (error) {
+        // Keep the checkpoint so the branch update can be retried via resume
+        this.log('error', `Failed to update branch: ${error.message}`);
+        this.unresolvedCheckpoint = `${owner}/${repo}`;
+      }
+    } else {
+      await this.clearCheckpoint();
+    }
+
+    return results;
+  }
+
+  // Snapshot of deployment progress persisted after every batch
+  buildCheckpoint(journal, lastSha, remainingDates, contributions) {
+    const remainingContributions = {};
+    const commitCounts = {};
+    const plannedCounts = this.activePlan?.commitCounts?.[journal.targetRepository] ||
+      this.calibratedCounts?.[journal.targetRepository] || {};
+
+    remainingDates.forEach(date => {
+      if (contributions[date]) {
+        remainingContributions[date] = contributions[date];
+      }
+      if (Number.isInteger(plannedCounts[date])) {
+        commitCounts[date] = plannedCounts[date];
+      }
+    });
+
+    return {
+      ...journal,
+      lastSha: lastSha,
+      remainingDates: [...remainingDates],
+      contributions: remainingContributions,
+      commitCounts: commitCounts
+    };
+  }
+
+  // Deployment checkpoint journal (persisted in chrome.storage.local)
+  async saveCheckpoint(checkpoint) {
+    try {
+      if (!chrome?.storage?.local) {
+        console.warn('Histofy: Chrome storage API not available');
+        return false;
+      }
+
+      await chrome.storage.local.set({
+        [this.checkpointKey]: { ...checkpoint, updatedAt: new Date().toISOString() }
+      });
+      return true;
+    } catch (error) {
+      console.error('Histofy: Failed to save deployment checkpoint:', error);
+      return false;
+    }
+  }
+
+  async loadCheckpoint() {
+    try {
+      if (!chrome?.storage?.local) {
+        return null;
+      }
+
+      const result = await chrome.storage.local.get(this.checkpointKey);
+      return result[this.checkpointKey] || null;
+    } catch (error) {
+      console.error('Histofy: Failed to load deployment checkpoint:', error);
+      return null;
+    }
+  }
+
+  async clearCheckpoint() {
+    try {
+      if (!chrome?.storage?.local) {
+        return false;
+      }
+
+      await chrome.storage.local.remove(this.checkpointKey);
+      return true;
+    } catch (error) {
+      console.error('Histofy: Failed to clear deployment checkpoint:', error);
+      return false;
+    }
+  }
+
+  // Continue an interrupted deployment from its last checkpoint
+  async resumeDeployment(checkpoint = null) {
+    if (this.deploymentStatus.isDeploying) {
+      throw new Error('Deployment already in progress');
+    }
+
+    checkpoint = checkpoint || await this.loadCheckpoint();
+    if (!checkpoint) {
+      throw new Error('No interrupted deployment to resume');
+    }
+
+    this.deploymentStatus.isDeploying = true;
+    this.attachRetryTracking();
+    this.unresolvedCheckpoint = null;
+    this.deploymentStatus.progress = 0;
+    this.deploymentStatus.logs = [];
+    this.performanceMetrics.startTime = Date.now();
+    this.performanceMetrics.apiCallCount = 0;
+    this.performanceMetrics.cacheHits = 0;
+    this.performanceMetrics.cacheMisses = 0;
+    this.performanceMetrics.commitTimes = [];
+    this.performanceMetrics.requestCountStart = this.api.requestCount;
+
+    const { owner, repo, branch } = checkpoint;
+    const repoKey = `${owner}/${repo}`;
+    const run = {
+      startedAt: new Date().toISOString(),
+      targetRepository: repoKey,
+      results: null,
+      error: null,
+      resumed: true
+    };
+
+    try {
+      this.updateStatus(`Resuming deployment to ${repoKey}...`, 10);
+
+      // The branch must still point where it did when the deployment started
+      const currentHead = await this.getBranchHeadIfExists(owner, repo, branch);
+
+      if (currentHead !== checkpoint.baseSha) {
+        throw new Error(`Branch ${branch} has moved since the deployment started - cannot resume safely`);
+      }
+
+      // Honor the commit counts and content mode confirmed in the original plan
+      this.activePlan = { commitCounts: { [repoKey]: checkpoint.commitCounts || {} } };
+      this.commitContentMode = this.resolveCommitContentMode(checkpoint);
+      // Checkpoints are only written by the git data backend
+      this.deploymentBackend = 'git_data';
+      this.treePools.clear();
+
+      const commitResults = await this.createCommitsForDates(
+        owner,
+        repo,
+        [...(checkpoint.remainingDates || [])],
+        checkpoint.contributions || {},
+        branch,
+        { ...checkpoint, resumed: true }
+      );
+
+      const repository = await this.api.getRepository(owner, repo);
+
+      if (commitResults.successful.length > 0) {
+        await this.recordDeployment({
+          owner: owner,
+          repo: repo,
+          branch: branch,
+          preDeployHead: checkpoint.baseSha,
+          commits: commitResults.successful,
+          createdRepository: false
+        });
+      }
+
+      const results = {
+        successful: commitResults.successful,
+        failed: commitResults.failed,
+        repositories: new Map([[repoKey, { ...commitResults, repository }]]),
+        resumed: true,
+        changeId: checkpoint.changeId
+      };
+      run.results = results;
+
+      if (commitResults.successful.length > 0) {
+        this.api.clearContributionCalendarCache(this.api.user?.login);
+      }
+
+      this.updateStatus('Resumed deployment completed!', 100);
+      this.logPerformanceMetrics(results);
+
+      return results;
 
-      // Optimized delay between batches to prevent rate limiting
-      if (batches.length > 1) {
-        await new Promise(resolve => setTimeout(resolve, this.config.apiDelay));
-      }
+    } catch (error) {
+      this.log('error', `Resume failed: ${error.message}`);
+      run.error = error.message;
+      throw error;
+    } finally {
+      this.deploymentStatus.isDeploying = false;
+      this.detachRetryTracking();
+      this.activePlan = null;
+      await this.recordDeploymentRun(run);
     }
+  }
 
-    // Update the branch to point to the latest commit
-    if (results.successful.length > 0) {
-      try {
-        this.updateStatus('Finalizing deployment...', 85);
-        await this.updateBranchHead(owner, repo, baseBranch, currentSha);
-        this.log('success', `Updated ${baseBranch} branch with ${results.successful.length} new commits`);
-      } catch (error) {
-        this.log('error', `Failed to update branch: ${error.message}`);
+  // Append a finished (or aborted) run to the persistent deployment history
+  async recordDeploymentRun({ startedAt, targetRepository, results, error, resumed = false }) {
+    if (!window.histofyStorage) {
+      return null;
+    }
+
+    try {
+      const successful = (results?.successful || []).filter(commit => !commit.rewritten);
+      const rewritten = (results?.successful || []).filter(commit => commit.rewritten);
+      const failed = results?.failed || [];
+
+      // Commits and dates per contribution level
+      const levelCounts = {};
+      const levelDates = {};
+      successful.forEach(commit => {
+        const level = commit.contribution?.level ?? 1;
+        if (!levelCounts[level]) {
+          levelCounts[level] = { name: commit.contribution?.name || `Level ${level}`, dates: 0, commits: 0 };
+          levelDates[level] = new Set();
+        }
+        levelCounts[level].commits++;
+        levelDates[level].add(commit.date);
+      });
+      Object.keys(levelCounts).forEach(level => {
+        levelCounts[level].dates = levelDates[level].size;
+      });
+
+      // Failures are either per-date entries or whole changes that never started
+      const failures = failed.map(failure => ({
+        date: failure.date || (failure.dates?.length ? `${failure.dates.length} dates` : null),
+        error: failure.error || 'Unknown error'
+      }));
+
+      const allDates = [...successful, ...rewritten].map(commit => commit.date).sort();
+      const repositories = results?.repositories ? Array.from(results.repositories.keys()) : [];
+
+      let status = 'completed';
+      const succeeded = successful.length + rewritten.length;
+      if (error || (succeeded === 0 && failed.length > 0)) {
+        status = succeeded > 0 ? 'partial' : 'failed';
+      } else if (failed.length > 0) {
+        status = 'partial';
       }
+
+      const entry = {
+        startedAt: startedAt,
+        finishedAt: new Date().toISOString(),
+        status: status,
+        resumed: resumed,
+        targetRepository: targetRepository,
+        repositories: repositories.length > 0 ? repositories : [targetRepository].filter(Boolean),
+        dateRange: allDates.length > 0 ? { start: allDates[0], end: allDates[allDates.length - 1] } : null,
+        totalCommits: successful.length,
+        rewrittenCommits: rewritten.length,
+        totalDates: new Set(allDates).size,
+        levelCounts: levelCounts,
+        failures: failures,
+        error: error || null,
+        logs: [...this.deploymentStatus.logs]
+      };
+
+      return await window.histofyStorage.addDeploymentHistoryEntry(entry);
+    } catch (historyError) {
+      console.error('Histofy: Failed to record deployment history:', historyError);
+      return null;
     }
+  }
 
-    return results;
+  // Network failures abort the run so the checkpoint stays on the last good batch
+  isNetworkError(error) {
+    return error instanceof TypeError || /Failed to fetch|NetworkError|network/i.test(error.message || '');
   }
 
   // Optimized parallel batch processing for improved performance
   async processBatchParallel(owner, repo, batch, initialSha, contributions, results) {
     let currentSha = initialSha;
     let lastSha = null;
+    let createdCount = 0;
 
     // Process dates sequentially to maintain chronological order
     // but optimize individual date processing with parallel commits
@@ -419,8 +1373,10 @@ class GitHubDeployer {
         // Get contribution level for this date
         const contribution = contributions[date] || { level: 1, name: 'Low', commits: '1-3' };
         
-        // Create commits based on contribution level
-        const commitsToCreate = this.getCommitCountForLevel(contribution.level);
+        // Create commits based on contribution level (or the confirmed plan)
+        const commitsToCreate = this.resolveCommitCount(`${owner}/${repo}`, date, contribution);
+        await this.waitForRateLimitBudget(commitsToCreate * this.getApiCallsPerCommit(this.commitContentMode) + 1 +
+          this.getTreePoolCost(owner, repo));
         
         // Use enhanced parallel commit creation for better performance
         const commitShas = await this.createCommitsBatchParallel(
@@ -437,6 +1393,7 @@ class GitHubDeployer {
           if (sha) {
             currentSha = sha;
             lastSha = sha;
+            createdCount++;
             results.successful.push({
               date: date,
               sha: sha,
@@ -449,6 +1406,11 @@ class GitHubDeployer {
         this.log('info', `Created ${commitsToCreate} commit(s) for ${date} (${contribution.name} level)`);
 
       } catch (error) {
+        if (this.isNetworkError(error)) {
+          this.log('error', `Network failure while creating commits for ${date} - deployment paused at last checkpoint`);
+          throw error;
+        }
+
         this.log('error', `Failed to create commit for ${date}: ${error.message}`);
         results.failed.push({
           date: date,
@@ -457,77 +1419,204 @@ class GitHubDeployer {
       }
     }
 
-    return { lastSha };
+    return { lastSha, createdCount };
   }
 
-  // Enhanced parallel commit creation with optimized concurrency
+  // Commits for one date. The trees are prepared first (in parallel where they cost API calls),
+  // then the commit objects are chained in order since each one names its parent
   async createCommitsBatchParallel(owner, repo, date, parentSha, commitCount, contribution) {
+    const baseTreeSha = parentSha ? (await this.getCommitCached(owner, repo, parentSha)).tree.sha : null;
+    const treeShas = this.commitContentMode === 'minimal'
+      ? await this.takePooledTrees(owner, repo, baseTreeSha, commitCount)
+      : await this.createUniqueTrees(owner, repo, date, baseTreeSha, commitCount, contribution);
+
     const commitShas = [];
     let currentParentSha = parentSha;
 
-    // Pre-generate all content to avoid redundant work
-    const baseContent = await this.generateFileContentCached(owner, repo, date, 1, commitCount, contribution);
-    
     try {
-      // For small commit counts, use sequential processing (faster due to low overhead)
-      if (commitCount <= 3) {
-        return await this.createCommitsBatch(owner, repo, date, parentSha, commitCount, contribution);
+      for (let i = 0; i < commitCount; i++) {
+        const commitMessage = this.generateOptimizedCommitMessage(date, i + 1, commitCount, contribution);
+        const commitSha = await this.createCommitObjectOptimized(owner, repo, commitMessage, treeShas[i], currentParentSha, date);
+
+        // The next date's parent lookup is answered from the cache
+        this.cacheCreatedCommit(owner, repo, commitSha, treeShas[i]);
+        commitShas.push(commitSha);
+        currentParentSha = commitSha;
       }
+    } catch (error) {
+      this.log('error', `Batch commit creation failed: ${error.message}`);
+      throw error;
+    }
 
-      // For larger commit counts, use optimized parallel processing
-      const maxConcurrent = Math.min(this.config.maxConcurrentCommits, commitCount);
-      const chunks = [];
-      
-      // Split commits into parallel chunks while maintaining order
-      for (let i = 0; i < commitCount; i += maxConcurrent) {
-        chunks.push({
-          start: i + 1,
-          count: Math.min(maxConcurrent, commitCount - i)
-        });
+    return commitShas;
+  }
+
+  // Unique content mode: every commit gets its own blob and tree on top of the date's base tree
+  async createUniqueTrees(owner, repo, date, baseTreeSha, commitCount, contribution) {
+    const baseContent = await this.generateFileContentCached(owner, repo, date, 1, commitCount, contribution);
+    const treeShas = [];
+
+    for (let start = 0; start < commitCount; start += this.config.maxConcurrentCommits) {
+      const chunk = [];
+      for (let i = start; i < Math.min(commitCount, start + this.config.maxConcurrentCommits); i++) {
+        chunk.push(this.createContentTree(owner, repo, baseTreeSha, this.generateUniqueContent(baseContent, i + 1, date)));
       }
+      treeShas.push(...await Promise.all(chunk));
+    }
 
-      // Process chunks sequentially, but commits within chunks in parallel
-      for (const chunk of chunks) {
-        const chunkPromises = [];
-        
-        for (let i = 0; i < chunk.count; i++) {
-          const commitNumber = chunk.start + i;
-          
-          chunkPromises.push(
-            this.createOptimizedCommitWithRetry(
-              owner, 
-              repo, 
-              date, 
-              currentParentSha, 
-              commitNumber, 
-              commitCount, 
-              contribution,
-              baseContent
-            )
-          );
-        }
+    return treeShas;
+  }
 
-        // Wait for all commits in this chunk to complete with better error handling
-        const chunkResults = await Promise.allSettled(chunkPromises);
-        
-        // Process results and handle any failures gracefully
-        chunkResults.forEach((result, index) => {
-          if (result.status === 'fulfilled' && result.value) {
-            commitShas.push(result.value);
-            currentParentSha = result.value; // Each commit builds on the previous
-          } else {
-            this.log('error', `Commit ${chunk.start + index} failed: ${result.reason}`);
-            // Continue with other commits even if one fails
+  // Blob and tree calls for a repository's tree pool, or 0 once it exists or in unique mode
+  getTreePoolCost(owner, repo) {
+    if (this.commitContentMode !== 'minimal' || this.treePools.has(`${owner}/${repo}`)) {
+      return 0;
+    }
+    return this.getTreePoolSize() * 2;
+  }
+
+  getTreePoolSize() {
+    return Math.max(2, this.config.treePoolSize);
+  }
+
+  // Minimal API usage mode: a few trees, each with its own version of the contributions file,
+  // are created once per repository. Commits rotate through them, so every commit still changes
+  // the file while costing a single API call
+  async takePooledTrees(owner, repo, baseTreeSha, commitCount) {
+    const repoKey = `${owner}/${repo}`;
+    let pool = this.treePools.get(repoKey);
+
+    if (!pool) {
+      const size = this.getTreePoolSize();
+      const createdAt = new Date().toISOString();
+      const slots = Array.from({ length: size }, (_, slot) => slot);
+      const trees = await Promise.all(slots.map(slot =>
+        this.createContentTree(owner, repo, baseTreeSha, this.generatePoolContent(slot, size, createdAt))
+      ));
+
+      pool = { trees: trees, next: 0 };
+      this.treePools.set(repoKey, pool);
+      this.log('info', `Created a pool of ${size} shared trees for ${repoKey}`);
+    }
+
+    const treeShas = [];
+    for (let i = 0; i < commitCount; i++) {
+      treeShas.push(pool.trees[pool.next]);
+      pool.next = (pool.next + 1) % pool.trees.length;
+    }
+
+    return treeShas;
+  }
+
+  async createContentTree(owner, repo, baseTreeSha, content) {
+    const blobSha = await this.createBlobOptimized(owner, repo, content);
+    return await this.createTreeOptimized(owner, repo, baseTreeSha, 'contributions.md', blobSha);
+  }
+
+  // Record a commit we just created so it never has to be fetched as a parent
+  cacheCreatedCommit(owner, repo, sha, treeSha) {
+    this.commitCache.set(`${owner}/${repo}/${sha}`, { sha: sha, tree: { sha: treeSha } });
+    if (this.commitCache.size > 100) {
+      const firstKey = this.commitCache.keys().next().value;
+      this.commitCache.delete(firstKey);
+    }
+  }
+
+  // GraphQL backend: one createCommitOnBranch mutation per commit. The branch moves with every
+  // commit (guarded by expectedHeadOid), so there is no final ref update and no checkpoint
+  async createCommitsWithGraphQL(owner, repo, branch, headSha, dates, contributions) {
+    const results = {
+      successful: [],
+      failed: []
+    };
+    const mutation = `
+      mutation($input: CreateCommitOnBranchInput!) {
+        createCommitOnBranch(input: $input) {
+          commit {
+            oid
           }
+        }
+      }
+    `;
+    let expectedHeadOid = headSha;
+
+    for (const [index, date] of dates.entries()) {
+      const contribution = contributions[date] || { level: 1, name: 'Low', commits: '1-3' };
+      const commitsToCreate = this.resolveCommitCount(`${owner}/${repo}`, date, contribution);
+      this.updateStatus(`Creating ${commitsToCreate} commit(s) for ${date} with createCommitOnBranch...`, 20 + (index / dates.length) * 60);
+
+      try {
+        for (let i = 1; i <= commitsToCreate; i++) {
+          const content = this.generateUniqueContent('# Histofy Contributions', i, date);
+
+          // Only rate limits are waited out: a mutation that failed may still have landed
+          this.trackApiCall();
+          const data = await this.api.graphql(mutation, {
+            input: {
+              branch: {
+                repositoryNameWithOwner: `${owner}/${repo}`,
+                branchName: branch
+              },
+              message: {
+                headline: this.generateOptimizedCommitMessage(date, i, commitsToCreate, contribution)
+              },
+              expectedHeadOid: expectedHeadOid,
+              fileChanges: {
+                additions: [{
+                  path: 'contributions.md',
+                  contents: btoa(unescape(encodeURIComponent(content)))
+                }]
+              }
+            }
+          }, { retry: { retryFailures: false } });
+
+          expectedHeadOid = data.createCommitOnBranch.commit.oid;
+          results.successful.push({
+            date: date,
+            sha: expectedHeadOid,
+            contribution: contribution,
+            commitNumber: i
+          });
+        }
+
+        this.log('info', `Created ${commitsToCreate} commit(s) for ${date} with createCommitOnBranch`);
+      } catch (error) {
+        // Nothing written yet: let the caller fall back to the git data API
+        if (results.successful.length === 0) {
+          throw error;
+        }
+
+        this.log('error', `Failed to create commit for ${date}: ${error.message}`);
+        results.failed.push({
+          date: date,
+          error: error.message
         });
+
+        // The branch already moved, so hand back what was written. After a network error the head
+        // is unknown and every later mutation would be rejected by expectedHeadOid anyway
+        if (this.isNetworkError(error)) {
+          dates.slice(index + 1).forEach(skipped => results.failed.push({
+            date: skipped,
+            error: `Not attempted after a network error: ${error.message}`
+          }));
+          break;
+        }
       }
-      
+    }
+
+    return results;
+  }
+
+  // Get the branch HEAD, or null when the branch or repository is empty
+  async getBranchHeadIfExists(owner, repo, branch) {
+    try {
+      return await this.getBranchHead(owner, repo, branch);
     } catch (error) {
-      this.log('error', `Parallel batch commit creation failed: ${error.message}`);
+      if (error.message.includes('404') || error.message.includes('409')) {
+        return null;
+      }
       throw error;
     }
-
-    return commitShas;
   }
 
   // Get the current HEAD SHA of a branch
@@ -761,86 +1850,6 @@ class GitHubDeployer {
     return await response.json();
   }
 
-  // Optimized batch commit creation for better performance
-  async createCommitsBatch(owner, repo, date, parentSha, commitCount, contribution) {
-    const commitShas = [];
-    let currentParentSha = parentSha;
-
-    // Pre-create file content for all commits to avoid redundant work
-    const baseContent = await this.generateFileContent(owner, repo, date, 1, commitCount, contribution);
-    
-    try {
-      // Create all commits for this date in sequence
-      for (let i = 1; i <= commitCount; i++) {
-        // Use optimized commit creation with cached content
-        const commitSha = await this.createOptimizedCommit(
-          owner, 
-          repo, 
-          date, 
-          currentParentSha, 
-          i, 
-          commitCount, 
-          contribution,
-          baseContent
-        );
-        
-        if (commitSha) {
-          commitShas.push(commitSha);
-          currentParentSha = commitSha;
-        } else {
-          throw new Error(`Failed to create commit ${i} for ${date}`);
-        }
-      }
-    } catch (error) {
-      this.log('error', `Batch commit creation failed: ${error.message}`);
-      throw error;
-    }
-
-    return commitShas;
-  }
-
-  // Optimized single commit creation with reduced API calls
-  async createOptimizedCommit(owner, repo, date, parentSha, commitNumber, totalCommits, contribution, baseContent) {
-    try {
-      let baseTreeSha = null;
-      
-      if (parentSha) {
-        // Use cached parent commit info when possible
-        const parentCommit = await this.getCommitCached(owner, repo, parentSha);
-        baseTreeSha = parentCommit.tree.sha;
-      }
-      // If parentSha is null, this is the first commit in an empty repository
-      // baseTreeSha will remain null, creating a new tree from scratch
-
-      // Generate unique content for each commit to avoid identical trees
-      const fileName = `contributions.md`;
-      const fileContent = this.generateUniqueContent(baseContent, commitNumber, date);
-      
-      // Create blob with optimized encoding
-      const blobSha = await this.createBlobOptimized(owner, repo, fileContent);
-
-      // Create tree with optimized structure
-      const treeSha = await this.createTreeOptimized(owner, repo, baseTreeSha, fileName, blobSha);
-
-      // Create commit with optimized message and metadata
-      const commitMessage = this.generateOptimizedCommitMessage(date, commitNumber, totalCommits, contribution);
-      const commitSha = await this.createCommitObjectOptimized(
-        owner, 
-        repo, 
-        commitMessage, 
-        treeSha, 
-        parentSha, 
-        date
-      );
-
-      return commitSha;
-
-    } catch (error) {
-      this.log('error', `Failed to create optimized commit: ${error.message}`);
-      throw error;
-    }
-  }
-
   // Cached commit retrieval to reduce API calls
   async getCommitCached(owner, repo, sha) {
     // Simple in-memory cache for parent commits
@@ -973,20 +1982,30 @@ class GitHubDeployer {
     }
   }
 
+  // Author identity used for generated commits (cached to avoid repeated API calls)
+  async getCommitAuthor() {
+    if (!this.cachedUser) {
+      this.cachedUser = await this.api.getCurrentUser();
+    }
+
+    return {
+      name: this.cachedUser.name || this.cachedUser.login || 'Histofy User',
+      email: this.cachedUser.email || `${this.cachedUser.login}@users.noreply.github.com`
+    };
+  }
+
+  // Ensure date is in UTC and properly formatted for GitHub
+  getCommitTimestamp(date) {
+    return new Date(date + 'T12:00:00.000Z').toISOString();
+  }
+
   // Optimized commit object creation with cached user info
   async createCommitObjectOptimized(owner, repo, message, treeSha, parentSha, date) {
     try {
-      // Cache user info to avoid repeated API calls
-      if (!this.cachedUser) {
-        this.cachedUser = await this.api.getCurrentUser();
-      }
-      
-      // Ensure date is in UTC and properly formatted for GitHub
-      const utcDate = new Date(date + 'T12:00:00.000Z');
-      const gitDate = utcDate.toISOString();
-      
-      const userEmail = this.cachedUser.email || `${this.cachedUser.login}@users.noreply.github.com`;
-      const userName = this.cachedUser.name || this.cachedUser.login || 'Histofy User';
+      const gitDate = this.getCommitTimestamp(date);
+      const author = await this.getCommitAuthor();
+      const userEmail = author.email;
+      const userName = author.name;
       
       this.trackApiCall();
       const response = await this.api.makeRequest(`/repos/${owner}/${repo}/git/commits`, {
@@ -1025,37 +2044,6 @@ class GitHubDeployer {
     }
   }
 
-  // Enhanced commit creation with retry logic and better error handling
-  async createOptimizedCommitWithRetry(owner, repo, date, parentSha, commitNumber, totalCommits, contribution, baseContent) {
-    let lastError = null;
-    
-    for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
-      try {
-        return await this.createOptimizedCommit(
-          owner, 
-          repo, 
-          date, 
-          parentSha, 
-          commitNumber, 
-          totalCommits, 
-          contribution, 
-          baseContent
-        );
-      } catch (error) {
-        lastError = error;
-        this.log('warning', `Commit creation attempt ${attempt}/${this.config.retryAttempts} failed: ${error.message}`);
-        
-        if (attempt < this.config.retryAttempts) {
-          // Exponential backoff for retries
-          const delay = this.config.retryDelay * Math.pow(2, attempt - 1);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    }
-    
-    throw lastError || new Error('All retry attempts failed');
-  }
-
   // Cached file content generation to avoid repeated work
   async generateFileContentCached(owner, repo, date, commitNumber, totalCommits, contribution) {
     const cacheKey = `${owner}/${repo}/${date}/${totalCommits}/${contribution.level}`;
@@ -1109,6 +2097,7 @@ class GitHubDeployer {
     this.commitCache.clear();
     this.blobCache.clear();
     this.treeCache.clear();
+    this.treePools.clear();
     this.cachedUser = null;
   }
 
@@ -1136,7 +2125,14 @@ class GitHubDeployer {
     this.log('info', `⏱️  Total Time: ${(totalTime / 1000).toFixed(2)}s`);
     this.log('info', `📊 Total Commits: ${totalCommits}`);
     this.log('info', `⚡ Avg Time per Commit: ${avgCommitTime.toFixed(0)}ms`);
-    this.log('info', `🌐 API Calls Made: ${this.performanceMetrics.apiCallCount}`);
+    const pipelineCalls = this.performanceMetrics.apiCallCount;
+    const totalCalls = this.api.requestCount - this.performanceMetrics.requestCountStart;
+    this.log('info', `🌐 API Calls Made: ${totalCalls} (${pipelineCalls} in the commit pipeline)`);
+    if (totalCommits > 0) {
+      const mode = this.commitContentMode === 'minimal' ? 'minimal API usage' : 'unique content per commit';
+      const backend = this.deploymentBackend === 'graphql' ? ', GraphQL backend where available' : '';
+      this.log('info', `📉 Calls per Commit: ${(pipelineCalls / totalCommits).toFixed(2)} in the pipeline, ${(totalCalls / totalCommits).toFixed(2)} overall (${mode}${backend})`);
+    }
     this.log('info', `💾 Cache Hit Rate: ${cacheHitRate.toFixed(1)}%`);
     this.log('info', `🎯 Cache Hits: ${this.performanceMetrics.cacheHits}`);
     this.log('info', `❌ Cache Misses: ${this.performanceMetrics.cacheMisses}`);
@@ -1175,6 +2171,16 @@ class GitHubDeployer {
 `;
   }
 
+  // Contents of one tree pool slot; slots differ so consecutive commits never share a tree
+  generatePoolContent(slot, size, createdAt) {
+    return `# Histofy Contributions
+
+This file rotates between ${size} versions so that every generated commit changes it.
+
+<!-- Tree pool slot ${slot + 1}/${size}, created ${createdAt} -->
+`;
+  }
+
   // Generate optimized commit messages
   generateOptimizedCommitMessage(date, commitNumber, totalCommits, contribution) {
     const messages = [
@@ -1198,7 +2204,38 @@ class GitHubDeployer {
     return baseMessage;
   }
 
+  // Whether a commit looks like one this deployer wrote (see generateOptimizedCommitMessage)
+  isGeneratedCommitMessage(message) {
+    const text = message || '';
+    if (text.includes('Created by Histofy')) {
+      return true;
+    }
+
+    return /^(Update contribution pattern for|Add [a-z ]+ activity for|Contribute to project on|Development work on|Code updates for|Feature work on|Project maintenance on|Documentation updates for) \d{4}-\d{2}-\d{2}( \(\d+\/\d+\))?$/
+      .test(text.split('\n')[0]);
+  }
+
   // Helper functions
+  resolveCommitCount(repoKey, date, contribution) {
+    // An explicit per-day count is always honored verbatim
+    if (Number.isInteger(contribution.commitCount)) {
+      return contribution.commitCount;
+    }
+
+    // A confirmed dry-run plan fixes the exact count for every date
+    const plannedCount = this.activePlan?.commitCounts?.[repoKey]?.[date];
+    if (Number.isInteger(plannedCount)) {
+      return plannedCount;
+    }
+
+    const calibratedCount = this.calibratedCounts?.[repoKey]?.[date];
+    if (Number.isInteger(calibratedCount)) {
+      return calibratedCount;
+    }
+
+    return this.getCommitCountForLevel(contribution.level);
+  }
+
   getCommitCountForLevel(level) {
     // Map contribution levels to realistic commit counts
     const levelMap = {
@@ -1280,6 +2317,215 @@ Visit: https://github.com/histofy/extension
 `;
   }
 
+  // Change types that deploy as new commits on specific dates
+  isDateBasedChange(change) {
+    return ['date_selection', 'generate_commits', 'intensity_pattern'].includes(change.type);
+  }
+
+  // Change types that rewrite existing commits instead of adding new ones
+  isHistoryRewriteChange(change) {
+    return ['move_commits', 'move_commits_timeline', 'redate_commits'].includes(change.type);
+  }
+
+  // The change with its commit SHAs replaced by the ones an earlier rewrite produced
+  remapRewriteChange(change, shaMap) {
+    if (!Array.isArray(change.commits)) {
+      return change;
+    }
+
+    return {
+      ...change,
+      commits: change.commits.map(commit => shaMap[commit.sha] ? { ...commit, sha: shaMap[commit.sha] } : commit)
+    };
+  }
+
+  // Preview the rewrite a change performs: re-dated commits plus descendants that get new SHAs
+  async planHistoryRewrite(change) {
+    if (!this.gitOperations) {
+      throw new Error('Git operations are not available');
+    }
+
+    const [owner, repo] = (change.repository || '').split('/');
+    this.gitOperations.validateRepository(owner, repo);
+    const branch = change.branch || await this.getMainBranch(owner, repo);
+
+    // Timeline moves and per-commit re-dates carry their commits; commit dates never change for a given SHA
+    if (change.type === 'move_commits_timeline') {
+      // Clamped to the time the change was previewed, so the timestamps match what was shown
+      const clampTime = change.clampTime ? Date.parse(change.clampTime) : Date.now();
+      const redates = this.gitOperations.buildTimelineRedates(change.commits || [], change.targetDate, change.endDate, change.distribution, clampTime);
+      return await this.gitOperations.planRewrite(owner, repo, branch, redates);
+    }
+    if (change.type === 'redate_commits') {
+      const redates = this.gitOperations.buildCommitRedates(change.commits || []);
+      return await this.gitOperations.planRewrite(owner, repo, branch, redates);
+    }
+
+    // Re-read the commits so the preview reflects the branch as it is now
+    let commits = await this.gitOperations.findCommitsOnDates(owner, repo, branch, change.sourceDates || []);
+    if (Array.isArray(change.commits) && change.commits.length > 0) {
+      const selected = new Set(change.commits.map(commit => commit.sha || commit));
+      commits = commits.filter(commit => selected.has(commit.sha));
+    }
+
+    if (commits.length === 0) {
+      throw new Error(`No commits found on ${(change.sourceDates || []).join(', ')} in ${owner}/${repo}@${branch}`);
+    }
+
+    const redates = this.gitOperations.buildMoveRedates(commits, change.targetDate);
+    return await this.gitOperations.planRewrite(owner, repo, branch, redates);
+  }
+
+  // The rewrite the user confirmed in the dry-run plan, or null when the run has no plan
+  getConfirmedRewritePlan(change, index) {
+    const rewrites = this.activePlan?.rewrites;
+    if (!rewrites) {
+      return null;
+    }
+
+    const confirmed = change.id
+      ? rewrites.find(rewrite => rewrite.changeId === change.id)
+      : rewrites[index];
+    if (!confirmed) {
+      throw new Error('This rewrite was not part of the confirmed plan');
+    }
+    if (confirmed.error) {
+      throw new Error(confirmed.error);
+    }
+
+    return confirmed;
+  }
+
+  // Carry a plan confirmed against the original branch over the rewrites that already ran in
+  // this run: SHAs follow them, and commits this plan doesn't re-date keep the dates they got
+  remapRewritePlan(plan, rewritten) {
+    const map = (sha) => rewritten.shaMap[sha] || sha;
+
+    return {
+      ...plan,
+      headSha: map(plan.headSha),
+      commits: plan.commits.map(commit => {
+        const sha = map(commit.sha);
+        const earlier = commit.redated ? null : rewritten.dates[sha];
+        return {
+          ...commit,
+          sha: sha,
+          parents: commit.parents.map(map),
+          newAuthorDate: earlier ? earlier.authorDate : commit.newAuthorDate,
+          newCommitterDate: earlier ? earlier.committerDate : commit.newCommitterDate
+        };
+      })
+    };
+  }
+
+  // Run a previewed rewrite as-is; executeRewrite refuses if the branch moved since the preview
+  async deployHistoryRewrite(plan, change, results) {
+    const { owner, repo, branch } = plan;
+
+    this.log('warning', `Rewriting ${plan.repository}@${branch}: ${plan.redatedCount} re-dated, ${plan.descendantCount} descendant commit(s) get new SHAs`);
+    plan.warnings.forEach(warning => this.log('warning', warning));
+
+    // One commit per rebuilt commit plus the ref update
+    await this.waitForRateLimitBudget(plan.commits.length + 1);
+    const rewrite = await this.gitOperations.executeRewrite(plan, (done, total) => {
+      this.updateStatus(`Rewriting ${plan.repository}: ${done}/${total} commits`, 15 + Math.round(done * 10 / total));
+    });
+
+    const redated = plan.commits
+      .filter(commit => commit.redated)
+      .map(commit => ({
+        sha: rewrite.shaMap[commit.sha],
+        originalSha: commit.sha,
+        date: commit.newAuthorDate.split('T')[0],
+        rewritten: true,
+        changeId: change.id || null
+      }));
+
+    // The old head stays reachable by SHA, so the rewrite can be rolled back like a deployment
+    await this.recordDeployment({
+      owner: owner,
+      repo: repo,
+      branch: branch,
+      preDeployHead: rewrite.oldHead,
+      commits: redated,
+      createdRepository: false,
+      kind: 'history_rewrite'
+    });
+
+    results.successful.push(...redated);
+    results.repositories.set(plan.repository, { successful: redated, failed: [], rewrite: rewrite });
+    this.api.clearContributionCalendarCache(this.api.user?.login);
+    this.log('success', `Rewrote ${plan.commits.length} commits on ${plan.repository}@${branch} (${rewrite.oldHead.substring(0, 7)} → ${rewrite.newHead.substring(0, 7)})`);
+    return rewrite;
+  }
+
+  // Dates and per-date contributions a change deploys, or null for change types without dates
+  getDateSelection(change) {
+    switch (change.type) {
+      case 'date_selection':
+        return { dates: change.dates || [], contributions: change.contributions || {} };
+      case 'generate_commits':
+        return this.expandGenerateCommits(change);
+      case 'intensity_pattern':
+        return this.expandIntensityPattern(change);
+      default:
+        return null;
+    }
+  }
+
+  // Expand a generate_commits change (startDate, endDate, pattern, intensity) into dated contributions
+  expandGenerateCommits(change) {
+    const pattern = this.generationPatterns[change.pattern];
+    if (!pattern) {
+      throw new Error(`Unknown generation pattern: ${change.pattern}`);
+    }
+
+    const level = Math.min(4, Math.max(1, parseInt(change.intensity, 10) || 2));
+    const start = Date.parse(`${change.startDate}T00:00:00Z`);
+    const end = Date.parse(`${change.endDate}T00:00:00Z`);
+    const dates = [];
+    const contributions = {};
+
+    for (let time = start, index = 0; time <= end; time += 86400000, index++) {
+      const date = new Date(time).toISOString().split('T')[0];
+      if (!pattern.matches(new Date(time).getUTCDay(), index, date, change.startDate)) {
+        continue;
+      }
+
+      dates.push(date);
+      contributions[date] = { ...this.contributionLevels[level], date: date };
+    }
+
+    return { dates, contributions };
+  }
+
+  // Expand an intensity_pattern change (startDate, endDate, intensity) into dated contributions.
+  // intensity is a weekly rhythm of 7 level digits, Sunday first (e.g. '0222221')
+  expandIntensityPattern(change) {
+    const rhythm = String(change.intensity || '');
+    if (!/^[0-4]{7}$/.test(rhythm)) {
+      throw new Error(`Invalid intensity rhythm: ${change.intensity}`);
+    }
+
+    const start = Date.parse(`${change.startDate}T00:00:00Z`);
+    const end = Date.parse(`${change.endDate}T00:00:00Z`);
+    const dates = [];
+    const contributions = {};
+
+    for (let time = start; time <= end; time += 86400000) {
+      const level = parseInt(rhythm[new Date(time).getUTCDay()], 10);
+      if (level === 0) {
+        continue;
+      }
+
+      const date = new Date(time).toISOString().split('T')[0];
+      dates.push(date);
+      contributions[date] = { ...this.contributionLevels[level], date: date };
+    }
+
+    return { dates, contributions };
+  }
+
   // Group changes by repository
   groupChangesByRepository(changes, targetRepo = null) {
     const groups = {};
@@ -1325,8 +2571,10 @@ Visit: https://github.com/histofy/extension
     this.deploymentStatus.currentStep = message;
     this.deploymentStatus.progress = progress;
     this.log('info', message);
-    
-    // Broadcast status update
+    this.broadcastStatus();
+  }
+
+  broadcastStatus() {
     document.dispatchEvent(new CustomEvent('histofy-deployment-status', {
       detail: { ...this.deploymentStatus }
     }));
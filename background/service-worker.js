@@ -77,6 +77,8 @@ class HistofyBackground {
           intensity: 'medium'
         }
       ],
+      deployments: [],
+      deploymentHistory: [],
       statistics: {
         totalModifications: 0,
         successfulDeployments: 0,
@@ -122,6 +124,11 @@ class HistofyBackground {
           sendResponse({ success: true, stats });
           break;
 
+        case 'get_deployment_history':
+          const history = await this.getDeploymentHistory();
+          sendResponse({ success: true, history });
+          break;
+
         case 'clear_pending_changes':
           const clearResult = await this.clearPendingChanges();
           sendResponse({ success: clearResult });
@@ -252,6 +259,16 @@ class HistofyBackground {
     }
   }
 
+  async getDeploymentHistory() {
+    try {
+      const data = await chrome.storage.local.get('histofy_data');
+      return data.histofy_data?.deploymentHistory || [];
+    } catch (error) {
+      console.error('Error getting deployment history:', error);
+      return [];
+    }
+  }
+
   async clearPendingChanges() {
     try {
       const data = await chrome.storage.local.get('histofy_data');
@@ -55,12 +55,12 @@ class GitHubDetector {
     this.notifyPageChange();
     
     // Scroll to relevant section if needed
-    if (this.currentPage === 'profile' && this.isContributionGraphVisible()) {
+    if (this.currentPage?.page === 'profile' && this.hasContributionGraph()) {
       const graph = document.querySelector('.js-yearly-contributions, .ContributionCalendar');
       if (graph) {
         graph.scrollIntoView({ behavior: 'smooth', block: 'center' });
       }
-    } else if (this.currentPage === 'repository' && this.isCommitListVisible()) {
+    } else if (this.currentPage?.page === 'repository' && this.isCommitListVisible()) {
       const commits = document.querySelector('.commit-group, [data-testid="commit-row"]');
       if (commits) {
         commits.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -167,10 +167,26 @@ class GitHubDetector {
     }
 
     this.currentPage = pageInfo;
+    this.username = pageInfo.username;
+    this.repository = pageInfo.repository;
     
     return pageInfo;
   }
 
+  // Re-detect after a navigation and tell the UI components when the page changed
+  detectPage() {
+    const previousUrl = this.currentPage?.url;
+    this.detectCurrentPage();
+
+    if (this.currentPage.url !== previousUrl) {
+      this.notifyPageChange();
+    }
+  }
+
+  getPageInfo() {
+    return this.currentPage;
+  }
+
   extractYear() {
     // Try URL parameters first
     const urlParams = new URLSearchParams(window.location.search);
@@ -237,19 +253,12 @@ class GitHubDetector {
 
   notifyPageChange() {
     try {
+      // detail carries the page info: page, username, repository, url, pathname, year
       const event = new CustomEvent('histofy-page-change', {
-        detail: {
-          page: this.currentPage,
-          username: this.username,
-          repository: this.repository,
-          url: window.location.href
-        }
+        detail: { ...this.currentPage }
       });
       
       document.dispatchEvent(event);
-        username: this.username,
-        repository: this.repository
-      });
     } catch (error) {
       console.error('Error notifying page change:', error);
     }
@@ -257,10 +266,7 @@ class GitHubDetector {
 
   broadcastPageChange() {
     // Notify other components about page changes
-    document.dispatchEvent(new CustomEvent('histofy-page-change', {
-      detail: this.currentPage
-    }));
-
+    this.notifyPageChange();
   }
 
   getCurrentPageInfo() {
@@ -285,6 +291,10 @@ class GitHubDetector {
     return pathname.includes('/commit') && this.isRepositoryPage(pathname);
   }
 
+  isCommitListVisible() {
+    return Boolean(document.querySelector('.commit-group, [data-testid="commit-row"], [data-testid="commit-row-item"]'));
+  }
+
   hasContributionGraph() {
     const selectors = [
       '.ContributionCalendar-grid',
@@ -155,6 +155,13 @@ class ProfileInjector {
           <p>• <strong>3rd click:</strong> High contributions (20-24 commits) - Medium green ✅</p>
           <p>• <strong>4th click:</strong> Very high contributions (25+ commits) - Light green ✅</p>
           <p>• <strong>5th click:</strong> Back to no contributions (original state)</p>
+          <p>• <strong>Right-click:</strong> Set an exact number of commits for that day</p>
+          <p>• <strong>Brush / Eraser:</strong> Pick a level from the palette and drag across tiles, <kbd>Shift</kbd>+click to fill a rectangle</p>
+          <p>• <strong>Undo / Redo:</strong> <kbd>Ctrl</kbd>+<kbd>Z</kbd> and <kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>Z</kbd>, including <kbd>Esc</kbd> (clear all)</p>
+          <p>• <strong>Text:</strong> Open <em>🔤 Text</em> in the toolbar to write words across the graph</p>
+          <p>• <strong>Image:</strong> Open <em>🖼️ Image</em> and drop a picture onto the graph to preview it as a pattern</p>
+          <p>• <strong>Templates:</strong> Open <em>📚 Templates</em> to apply a built-in pattern or save your selection for later</p>
+          <p>• <strong>Activity:</strong> Open <em>🌱 Activity</em> to generate a natural looking year from a seed</p>
         </div>
       </div>
     `;
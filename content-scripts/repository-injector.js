@@ -3,32 +3,161 @@ class RepositoryInjector {
   constructor() {
     this.isInjected = false;
     this.currentRepo = null;
+    this.activeBranch = null;
+    // Heatmap covers the last year like the profile graph; the commit list is capped
+    this.heatmapWeeks = 53;
+    this.maxCommits = 1000;
+    // Bumped whenever the panel goes away so stale loads don't render
+    this.loadToken = 0;
     this.init();
   }
 
   init() {
     this.setupEventListeners();
+
+    // The detector runs first and may already know the page
+    if (window.histofyDetector?.currentPage) {
+      this.handlePageChange(window.histofyDetector.currentPage);
+    }
   }
 
   setupEventListeners() {
     document.addEventListener('histofy-page-change', (event) => {
-      const { page, username, repository } = event.detail;
-      if (page === 'repository') {
-        this.currentRepo = { username, repository };
-        setTimeout(() => this.injectRepositoryControls(), 500);
-      } else {
-        this.cleanup();
-      }
+      this.handlePageChange(event.detail || {});
     });
   }
 
+  handlePageChange({ page, username, repository, pathname }) {
+    if (page !== 'repository' || !this.isCodeView(pathname || window.location.pathname)) {
+      this.cleanup();
+      return;
+    }
+
+    const refPath = this.getRefPathFromPath(pathname || window.location.pathname);
+    const current = this.currentRepo;
+    if (this.isInjected && document.querySelector('.histofy-repository-panel') &&
+        current && current.username === username &&
+        current.repository === repository && this.isSameRef(current.refPath, refPath)) {
+      return;
+    }
+
+    this.cleanup();
+    this.currentRepo = { username, repository, refPath };
+    setTimeout(() => this.injectRepositoryControls(), 500);
+  }
+
+  // Only the repository root and /tree/ views get the panel
+  isCodeView(pathname) {
+    const parts = pathname.split('/').filter(part => part.length > 0);
+    return parts.length === 2 || (parts.length >= 4 && parts[2] === 'tree');
+  }
+
+  // Everything after /tree/ in the URL, or null for the default branch. It is the branch name
+  // followed by a directory, and branch names may contain slashes, so resolveBranch splits it
+  getRefPathFromPath(pathname) {
+    const parts = pathname.split('/').filter(part => part.length > 0);
+    return parts[2] === 'tree' && parts[3] ? parts.slice(3).map(decodeURIComponent).join('/') : null;
+  }
+
+  // Moving between directories of the branch already shown keeps the panel
+  isSameRef(previousRefPath, refPath) {
+    if (previousRefPath === refPath) {
+      return true;
+    }
+    const branch = this.activeBranch;
+    return Boolean(branch && refPath && previousRefPath &&
+      (refPath === branch || refPath.startsWith(`${branch}/`)) &&
+      (previousRefPath === branch || previousRefPath.startsWith(`${branch}/`)));
+  }
+
+  // Branch at the start of a /tree/ ref path: the ref the page's branch picker shows when it
+  // matches, otherwise the longest prefix that exists as a branch
+  async resolveBranch(api, owner, repo, refPath) {
+    const pageRef = this.getPageRef();
+    if (pageRef && (refPath === pageRef || refPath.startsWith(`${pageRef}/`))) {
+      return pageRef;
+    }
+
+    const parts = refPath.split('/');
+    for (let length = parts.length; length > 1; length--) {
+      const candidate = parts.slice(0, length).join('/');
+      try {
+        await api.getBranch(owner, repo, candidate);
+        return candidate;
+      } catch (error) {
+        // Not a branch, try a shorter prefix
+      }
+    }
+
+    // Tags and commit SHAs have no slashes
+    return parts[0];
+  }
+
+  // Only the branch picker is searched: data-ref also marks unrelated elements on the page
+  getPageRef() {
+    const picker = document.querySelector('#branch-picker-repos-header-ref-selector, #branch-select-menu');
+    if (!picker) return null;
+
+    const refElement = picker.matches('[data-ref]') ? picker : picker.querySelector('[data-ref]');
+    if (refElement) {
+      return refElement.getAttribute('data-ref');
+    }
+
+    const label = picker.querySelector('.ref-selector-button-text-container, [data-menu-button]');
+    return label?.textContent.trim() || null;
+  }
+
   injectRepositoryControls() {
-    if (this.isInjected) {
+    if (this.isInjected || !this.currentRepo) {
+      return;
+    }
+
+    const header = this.findRepositoryHeader();
+    if (!header) {
+      console.log('Histofy: Repository header not found, skipping repository tools');
       return;
     }
 
-    // Repository tools panel removed
+    const panel = document.createElement('div');
+    panel.className = 'histofy-repository-panel';
+    panel.innerHTML = `
+      <div class="histofy-repository-header">
+        <h3>📊 Histofy Activity</h3>
+        <span class="histofy-repository-branch" id="histofy-repository-branch"></span>
+        <button class="histofy-repository-refresh" id="histofy-repository-refresh" title="Reload commits">🔄</button>
+      </div>
+      <div class="histofy-repository-heatmap" id="histofy-repository-heatmap"></div>
+      <div class="histofy-repository-stats" id="histofy-repository-stats">Loading commits...</div>
+      <div class="histofy-repository-actions">
+        <button class="histofy-repository-btn" data-section="deploy">🚀 Deploy a pattern here</button>
+        <button class="histofy-repository-btn" data-section="move">🔄 Re-date commits</button>
+        <button class="histofy-repository-btn" data-section="timeline">⏰ Spread over a timeline</button>
+      </div>
+    `;
+
+    // The code view container takes the panel on top, older headers get it right below
+    if (header.matches('.repository-content')) {
+      header.prepend(panel);
+    } else {
+      header.insertAdjacentElement('afterend', panel);
+    }
+
+    panel.querySelector('#histofy-repository-refresh').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.loadActivity();
+    });
+
+    panel.querySelectorAll('.histofy-repository-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.openDeployPanel(button.getAttribute('data-section'));
+      });
+    });
+
     this.isInjected = true;
+    this.loadActivity();
   }
 
   findRepositoryHeader() {
@@ -47,13 +176,156 @@ class RepositoryInjector {
     return null;
   }
 
+  openDeployPanel(section) {
+    const deployButton = window.histofyDeployButton;
+    if (!deployButton || !this.currentRepo) return;
+
+    const { username, repository } = this.currentRepo;
+    deployButton.openForRepository(`${username}/${repository}`, {
+      branch: this.activeBranch,
+      section: section
+    });
+  }
+
+  async loadActivity(attempt = 0) {
+    const panel = document.querySelector('.histofy-repository-panel');
+    if (!panel || !this.currentRepo) return;
+
+    const stats = panel.querySelector('#histofy-repository-stats');
+    const api = window.histofyDeployButton?.githubAPI;
+
+    // The deploy button sets up the API a few seconds after page load
+    if (!api && attempt < 5) {
+      setTimeout(() => this.loadActivity(attempt + 1), 1000);
+      return;
+    }
+
+    if (!api || !api.isAuthenticated()) {
+      stats.textContent = 'Connect your GitHub token in the Histofy deploy panel to see this repository\'s activity';
+      return;
+    }
+
+    const token = ++this.loadToken;
+    const { username, repository } = this.currentRepo;
+    stats.textContent = 'Loading commits...';
+
+    try {
+      const { refPath } = this.currentRepo;
+      const branch = refPath
+        ? await this.resolveBranch(api, username, repository, refPath)
+        : (await api.getRepository(username, repository)).default_branch;
+      const days = this.getHeatmapDays();
+      const { commits, truncated } = await this.fetchCommits(api, username, repository, branch, days[0]);
+      const histofyShas = await this.getHistofyCommitShas(`${username}/${repository}`);
+
+      if (token !== this.loadToken) return;
+
+      this.activeBranch = branch;
+      panel.querySelector('#histofy-repository-branch').textContent = branch;
+      const activity = this.summarizeActivity(commits, histofyShas);
+      this.renderHeatmap(panel.querySelector('#histofy-repository-heatmap'), days, activity.byDate);
+
+      stats.innerHTML = `
+        <strong>${activity.total}</strong> commits on ${escapeHtml(branch)} in the last year
+        &middot; <strong>${activity.histofy}</strong> by Histofy
+        &middot; <strong>${activity.organic}</strong> organic
+        ${truncated ? `<br><span class="histofy-repository-note">Only the latest ${commits.length} commits were loaded</span>` : ''}
+      `;
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.error('Histofy: Failed to load repository activity:', error);
+      stats.innerHTML = `<span class="histofy-repository-note">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+  }
+
+  // Dates shown in the heatmap: whole weeks (Sunday first) ending today
+  getHeatmapDays() {
+    const today = new Date();
+    const todayTime = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+    const start = todayTime - ((this.heatmapWeeks - 1) * 7 + new Date(todayTime).getUTCDay()) * 86400000;
+    const days = [];
+
+    for (let time = start; time <= todayTime; time += 86400000) {
+      days.push(new Date(time).toISOString().split('T')[0]);
+    }
+
+    return days;
+  }
+
+  async fetchCommits(api, owner, repo, branch, sinceDate) {
+    const commits = [];
+
+    for await (const commit of api.iterateRepositoryCommits(owner, repo, { sha: branch, since: `${sinceDate}T00:00:00Z` })) {
+      if (commits.length >= this.maxCommits) {
+        return { commits, truncated: true };
+      }
+      commits.push(commit);
+    }
+
+    return { commits, truncated: false };
+  }
+
+  // SHAs recorded by completed Histofy deployments into this repository
+  async getHistofyCommitShas(repository) {
+    if (!window.histofyStorage) {
+      return new Set();
+    }
+
+    const records = await window.histofyStorage.getDeploymentRecords();
+    return new Set(records
+      .filter(record => record.repository === repository && record.status === 'completed')
+      .flatMap(record => (record.commits || []).map(commit => commit.sha)));
+  }
+
+  // Per-day counts, split into Histofy-generated and organic commits
+  summarizeActivity(commits, histofyShas) {
+    const deployer = window.histofyDeployButton?.githubDeployer;
+    const byDate = {};
+    let histofy = 0;
+
+    commits.forEach(commit => {
+      const date = (commit.commit.author?.date || '').split('T')[0];
+      if (!date) return;
+
+      const generated = histofyShas.has(commit.sha) ||
+        Boolean(deployer && deployer.isGeneratedCommitMessage(commit.commit.message));
+      byDate[date] = byDate[date] || { total: 0, histofy: 0 };
+      byDate[date].total++;
+      if (generated) {
+        byDate[date].histofy++;
+        histofy++;
+      }
+    });
+
+    return {
+      byDate: byDate,
+      total: commits.length,
+      histofy: histofy,
+      organic: commits.length - histofy
+    };
+  }
+
+  renderHeatmap(container, days, byDate) {
+    const max = Math.max(1, ...Object.values(byDate).map(day => day.total));
+
+    container.innerHTML = days.map(date => {
+      const day = byDate[date] || { total: 0, histofy: 0 };
+      const level = day.total === 0 ? 0 : Math.min(4, Math.max(1, Math.ceil(day.total / max * 4)));
+      const generated = day.total > 0 && day.histofy === day.total ? ' histofy-repository-cell-generated' : '';
+      const title = `${date}: ${day.total} commit${day.total === 1 ? '' : 's'}${day.histofy > 0 ? ` (${day.histofy} by Histofy)` : ''}`;
+      return `<span class="histofy-repository-cell${generated}" data-level="${level}" title="${title}"></span>`;
+    }).join('');
+  }
+
   cleanup() {
     // Remove injected elements when leaving repository page
     const injectedElements = document.querySelectorAll('.histofy-repository-panel');
     injectedElements.forEach(el => el.remove());
-    
+
     this.isInjected = false;
     this.currentRepo = null;
+    this.activeBranch = null;
+    this.loadToken++;
   }
 }
 
@@ -8,6 +8,7 @@ class HistofyPopup {
       completed: 0,
       failed: 0
     };
+    this.deploymentHistory = [];
     this.init();
   }
 
@@ -15,6 +16,7 @@ class HistofyPopup {
     await this.initializeAPI();
     await this.loadCurrentPageInfo();
     await this.loadStats();
+    await this.loadDeploymentHistory();
     this.setupEventListeners();
     this.updateUI();
   }
@@ -58,7 +60,25 @@ class HistofyPopup {
     }
   }
 
+  async loadDeploymentHistory() {
+    try {
+      const response = await this.sendMessage({ type: 'get_deployment_history' });
+      this.deploymentHistory = response?.history || [];
+    } catch (error) {
+      console.error('Histofy: Failed to load deployment history:', error);
+    }
+  }
+
   setupEventListeners() {
+    // Deployment history filters
+    document.getElementById('histofy-history-status')?.addEventListener('change', () => {
+      this.updateDeploymentHistory();
+    });
+
+    document.getElementById('histofy-history-repo')?.addEventListener('input', () => {
+      this.updateDeploymentHistory();
+    });
+
     // Quick Actions
     document.getElementById('histofy-quick-activate')?.addEventListener('click', () => {
       this.activateOnPage();
@@ -113,10 +133,12 @@ class HistofyPopup {
     this.updateAuthStatus();
     this.updateStats();
     this.updateQuickActions();
+    this.updateDeploymentHistory();
   }
 
   updatePageStatus() {
     const currentPageElement = document.getElementById('histofy-current-page');
+    if (!currentPageElement) return;
     
     if (this.currentPageInfo) {
       const pageType = this.currentPageInfo.page;
@@ -131,6 +153,7 @@ class HistofyPopup {
 
   updateAuthStatus() {
     const authSection = document.querySelector('.histofy-auth-section');
+    if (!authSection) return;
     
     if (this.authStatus && this.userInfo) {
       authSection.innerHTML = `
@@ -170,11 +193,66 @@ class HistofyPopup {
   }
 
   updateStats() {
-    document.getElementById('histofy-pending-count').textContent = this.stats.pending;
+    const pendingElement = document.getElementById('histofy-pending-count');
+    if (!pendingElement) return;
+
+    pendingElement.textContent = this.stats.pending;
     document.getElementById('histofy-completed-count').textContent = this.stats.completed;
     document.getElementById('histofy-failed-count').textContent = this.stats.failed;
   }
 
+  updateDeploymentHistory() {
+    const listElement = document.getElementById('histofy-history-list');
+    if (!listElement) return;
+
+    const statusFilter = document.getElementById('histofy-history-status')?.value || 'all';
+    const repoFilter = (document.getElementById('histofy-history-repo')?.value || '').trim().toLowerCase();
+
+    const entries = this.deploymentHistory.filter(entry => {
+      if (statusFilter !== 'all' && entry.status !== statusFilter) return false;
+      if (repoFilter && !(entry.repositories || []).some(repo => repo.toLowerCase().includes(repoFilter))) return false;
+      return true;
+    });
+
+    if (entries.length === 0) {
+      listElement.innerHTML = `<p class="histofy-no-activity">${this.deploymentHistory.length === 0 ? 'No deployments yet' : 'No runs match the filters'}</p>`;
+      return;
+    }
+
+    listElement.innerHTML = entries.map(entry => this.renderHistoryEntry(entry)).join('');
+  }
+
+  renderHistoryEntry(entry) {
+    const levels = Object.entries(entry.levelCounts || {})
+      .map(([level, counts]) => `${counts.name} (L${level}): ${counts.commits} commits on ${counts.dates} days`)
+      .join('<br>') || 'None';
+
+    const failures = (entry.failures || [])
+      .map(failure => `${escapeHtml(failure.date || 'Unknown date')}: ${escapeHtml(failure.error)}`)
+      .join('<br>');
+
+    const logs = (entry.logs || [])
+      .map(log => `[${new Date(log.timestamp).toLocaleTimeString()}] ${log.level.toUpperCase()} ${log.message}`)
+      .join('\n');
+
+    return `
+      <details class="histofy-history-entry">
+        <summary>
+          <span class="histofy-history-repo">${this.formatHistoryStatus(entry.status)} ${escapeHtml((entry.repositories || []).join(', ') || 'Unknown repository')}</span>
+          <span class="histofy-history-meta">${entry.totalCommits} commits${entry.rewrittenCommits ? ` · ${entry.rewrittenCommits} re-dated` : ''} · ${new Date(entry.startedAt).toLocaleDateString()}</span>
+        </summary>
+        <div class="histofy-history-details">
+          <p><strong>Started:</strong> ${new Date(entry.startedAt).toLocaleString()}${entry.resumed ? ' (resumed)' : ''}</p>
+          <p><strong>Dates:</strong> ${entry.dateRange ? `${entry.dateRange.start} to ${entry.dateRange.end} (${entry.totalDates} days)` : 'None'}</p>
+          <p><strong>Levels:</strong><br>${levels}</p>
+          ${entry.error ? `<p class="histofy-history-status-failed"><strong>Error:</strong> ${escapeHtml(entry.error)}</p>` : ''}
+          ${failures ? `<p class="histofy-history-status-failed"><strong>Failures:</strong><br>${failures}</p>` : ''}
+          <div class="histofy-history-log">${escapeHtml(logs) || 'No log entries'}</div>
+        </div>
+      </details>
+    `;
+  }
+
   updateQuickActions() {
     const activateBtn = document.getElementById('histofy-quick-activate');
     const clearBtn = document.getElementById('histofy-quick-clear');
@@ -354,6 +432,15 @@ class HistofyPopup {
     return typeMap[pageType] || '📄 GitHub Page';
   }
 
+  formatHistoryStatus(status) {
+    const statusMap = {
+      'completed': '✅',
+      'partial': '⚠️',
+      'failed': '❌'
+    };
+    return `<span class="histofy-history-status-${status}">${statusMap[status] || '•'}</span>`;
+  }
+
   showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.className = `histofy-popup-notification histofy-notification-${type}`;
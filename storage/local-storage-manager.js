@@ -2,6 +2,8 @@
 class LocalStorageManager {
   constructor() {
     this.storageKey = 'histofy_data';
+    this.maxDeploymentRecords = 50;
+    this.maxDeploymentHistory = 25;
     this.defaultData = {
       pendingChanges: [],
       userSettings: {
@@ -14,6 +16,8 @@ class LocalStorageManager {
       },
       backups: [],
       templates: [],
+      deployments: [],
+      deploymentHistory: [],
       statistics: {
         totalModifications: 0,
         successfulDeployments: 0,
@@ -112,7 +116,9 @@ class LocalStorageManager {
           data.pendingChanges.push(change);
           console.log(`Storage: Added pending change: ${change.type}`);
         } else {
+          // Callers get null back so they can tell the user nothing was queued
           console.log(`Storage: Skipped duplicate change: ${change.type}`);
+          return null;
         }
       }
 
@@ -250,6 +256,8 @@ class LocalStorageManager {
           return this.isDuplicateGenerateCommits(newChange, existing);
         case 'intensity_pattern':
           return this.isDuplicateIntensityPattern(newChange, existing);
+        case 'redate_commits':
+          return this.isDuplicateRedateCommits(newChange, existing);
         default:
           return this.isDuplicateBasic(newChange, existing);
       }
@@ -281,15 +289,25 @@ class LocalStorageManager {
   isDuplicateGenerateCommits(newChange, existingChange) {
     return newChange.startDate === existingChange.startDate &&
            newChange.endDate === existingChange.endDate &&
-           newChange.pattern === existingChange.pattern;
+           newChange.pattern === existingChange.pattern &&
+           newChange.intensity === existingChange.intensity;
   }
 
   // Check if intensity pattern operations are duplicate
   isDuplicateIntensityPattern(newChange, existingChange) {
-    return newChange.commits === existingChange.commits &&
+    return newChange.startDate === existingChange.startDate &&
+           newChange.endDate === existingChange.endDate &&
+           newChange.commits === existingChange.commits &&
            newChange.intensity === existingChange.intensity;
   }
 
+  // Check if per-commit re-dates are duplicate
+  isDuplicateRedateCommits(newChange, existingChange) {
+    return newChange.repository === existingChange.repository &&
+           newChange.branch === existingChange.branch &&
+           JSON.stringify(newChange.commits) === JSON.stringify(existingChange.commits);
+  }
+
   // Basic duplicate check for unknown types
   isDuplicateBasic(newChange, existingChange) {
     return JSON.stringify(newChange) === JSON.stringify(existingChange);
@@ -302,6 +320,253 @@ class LocalStorageManager {
     return JSON.stringify(newContributions) === JSON.stringify(existingContributions);
   }
 
+  // Deployment records (used for rollback)
+  async addDeploymentRecord(record) {
+    try {
+      const data = await this.getData();
+      if (!data) {
+        await this.ensureDataStructure();
+        return await this.addDeploymentRecord(record);
+      }
+
+      if (!data.deployments) {
+        data.deployments = [];
+      }
+
+      record.id = record.id || this.generateId();
+      data.deployments.unshift(record);
+
+      // Keep the most recent deployments only
+      data.deployments = data.deployments.slice(0, this.maxDeploymentRecords);
+
+      await this.saveData(data);
+      console.log(`Storage: Recorded deployment ${record.id} to ${record.repository}`);
+      return record.id;
+    } catch (error) {
+      console.error('Storage: Failed to record deployment:', error);
+      throw error;
+    }
+  }
+
+  async getDeploymentRecords() {
+    try {
+      const data = await this.getData();
+      return data?.deployments || [];
+    } catch (error) {
+      console.error('Storage: Failed to get deployment records:', error);
+      return [];
+    }
+  }
+
+  async updateDeploymentRecord(recordId, updates) {
+    try {
+      const data = await this.getData();
+      const record = data?.deployments?.find(deployment => deployment.id === recordId);
+      if (!record) {
+        return false;
+      }
+
+      Object.assign(record, updates);
+      await this.saveData(data);
+      return true;
+    } catch (error) {
+      console.error('Storage: Failed to update deployment record:', error);
+      return false;
+    }
+  }
+
+  // Deployment history (one entry per deployment run, including its logs)
+  async addDeploymentHistoryEntry(entry) {
+    try {
+      const data = await this.getData();
+      if (!data) {
+        await this.ensureDataStructure();
+        return await this.addDeploymentHistoryEntry(entry);
+      }
+
+      if (!data.deploymentHistory) {
+        data.deploymentHistory = [];
+      }
+
+      entry.id = entry.id || this.generateId();
+      data.deploymentHistory.unshift(entry);
+
+      // Runs carry their full logs, so keep only the most recent ones
+      data.deploymentHistory = data.deploymentHistory.slice(0, this.maxDeploymentHistory);
+
+      const statistics = data.statistics || {};
+      if (entry.status === 'failed') {
+        statistics.failedDeployments = (statistics.failedDeployments || 0) + 1;
+      } else {
+        statistics.successfulDeployments = (statistics.successfulDeployments || 0) + 1;
+      }
+      statistics.lastActivity = entry.finishedAt;
+      data.statistics = statistics;
+
+      await this.saveData(data);
+      console.log(`Storage: Recorded deployment run ${entry.id} (${entry.status})`);
+      return entry.id;
+    } catch (error) {
+      console.error('Storage: Failed to record deployment run:', error);
+      return null;
+    }
+  }
+
+  async getDeploymentHistory(filters = {}) {
+    try {
+      const data = await this.getData();
+      let history = data?.deploymentHistory || [];
+
+      if (filters.status && filters.status !== 'all') {
+        history = history.filter(entry => entry.status === filters.status);
+      }
+
+      if (filters.repository) {
+        const query = filters.repository.toLowerCase();
+        history = history.filter(entry =>
+          (entry.repositories || []).some(repo => repo.toLowerCase().includes(query))
+        );
+      }
+
+      return history;
+    } catch (error) {
+      console.error('Storage: Failed to get deployment history:', error);
+      return [];
+    }
+  }
+
+  async clearDeploymentHistory() {
+    try {
+      const data = await this.getData();
+      if (!data) {
+        return false;
+      }
+
+      data.deploymentHistory = [];
+      await this.saveData(data);
+      return true;
+    } catch (error) {
+      console.error('Storage: Failed to clear deployment history:', error);
+      return false;
+    }
+  }
+
+  // Pattern templates: 7 rows (Sunday first) of level digits, one character per week
+  normalizeTemplate(template) {
+    if (Array.isArray(template.rows) && template.rows.length === 7) {
+      const weeks = template.weeks || Math.max(...template.rows.map(row => row.length));
+      return {
+        ...template,
+        weeks: weeks,
+        rows: template.rows.map(row => row.padEnd(weeks, '0').slice(0, weeks))
+      };
+    }
+
+    // Legacy templates only carried a pattern name and an intensity
+    const levelByIntensity = { low: 1, medium: 2, high: 3, very_high: 4, 'very-high': 4 };
+    const level = String(levelByIntensity[template.intensity] || 2);
+    const weeks = 53;
+    const rows = [0, 1, 2, 3, 4, 5, 6].map(day => {
+      const active = template.pattern !== 'weekdays' || (day >= 1 && day <= 5);
+      return (active ? level : '0').repeat(weeks);
+    });
+
+    return {
+      id: template.id || this.generateId(),
+      name: template.name || 'Untitled template',
+      description: template.description || '',
+      weeks: weeks,
+      rows: rows,
+      startWeek: 1,
+      createdAt: template.createdAt || null,
+      updatedAt: template.updatedAt || null
+    };
+  }
+
+  async getTemplates() {
+    try {
+      const data = await this.getData();
+      return (data?.templates || []).map(template => this.normalizeTemplate(template));
+    } catch (error) {
+      console.error('Storage: Failed to get templates:', error);
+      return [];
+    }
+  }
+
+  async saveTemplate(template) {
+    try {
+      const data = await this.getData();
+      if (!data) {
+        await this.ensureDataStructure();
+        return await this.saveTemplate(template);
+      }
+
+      const now = new Date().toISOString();
+      const templates = (data.templates || []).map(existing => this.normalizeTemplate(existing));
+      const normalized = this.normalizeTemplate({
+        ...template,
+        id: template.id || this.generateId(),
+        createdAt: template.createdAt || now,
+        updatedAt: now
+      });
+
+      const index = templates.findIndex(existing => existing.id === normalized.id);
+      if (index >= 0) {
+        templates[index] = normalized;
+      } else {
+        templates.push(normalized);
+      }
+
+      data.templates = templates;
+      await this.saveData(data);
+      console.log(`Storage: Saved template "${normalized.name}"`);
+      return normalized.id;
+    } catch (error) {
+      console.error('Storage: Failed to save template:', error);
+      return null;
+    }
+  }
+
+  async renameTemplate(templateId, name) {
+    try {
+      const data = await this.getData();
+      const template = data?.templates?.find(existing => existing.id === templateId);
+      if (!template) {
+        return false;
+      }
+
+      template.name = name;
+      template.updatedAt = new Date().toISOString();
+      await this.saveData(data);
+      return true;
+    } catch (error) {
+      console.error('Storage: Failed to rename template:', error);
+      return false;
+    }
+  }
+
+  async deleteTemplate(templateId) {
+    try {
+      const data = await this.getData();
+      if (!data?.templates) {
+        return false;
+      }
+
+      const originalCount = data.templates.length;
+      data.templates = data.templates.filter(template => template.id !== templateId);
+      if (data.templates.length === originalCount) {
+        return false;
+      }
+
+      await this.saveData(data);
+      console.log(`Storage: Deleted template ${templateId}`);
+      return true;
+    } catch (error) {
+      console.error('Storage: Failed to delete template:', error);
+      return false;
+    }
+  }
+
   // User settings management
   async getUserSettings() {
     try {
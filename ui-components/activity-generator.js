@@ -0,0 +1,261 @@
+// Realistic activity generator for Histofy extension
+// Fills a date range with an organic looking, reproducible pattern of daily commit counts
+class ActivityGenerator {
+  constructor() {
+    this.defaultOptions = {
+      weekdayProbability: 0.75,
+      weekendProbability: 0.25,
+      vacations: 2,
+      vacationLength: 10,
+      burstiness: 0.5,
+      yearlyTotal: 1200,
+      maxDaily: 25,
+      seed: 42
+    };
+
+    this.panel = null;
+  }
+
+  // Small seeded PRNG (mulberry32) so the same seed always yields the same graph
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal sample (Box-Muller)
+  randomNormal(random) {
+    const u = Math.max(random(), Number.EPSILON);
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  getDatesInRange(startDate, endDate) {
+    const dates = [];
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+    for (let time = Date.parse(`${startDate}T00:00:00Z`); time <= end; time += 86400000) {
+      dates.push(new Date(time).toISOString().split('T')[0]);
+    }
+    return dates;
+  }
+
+  // Daily commit counts for every date in the range ({ date: count }, zero days omitted)
+  generate(startDate, endDate, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+    const random = this.createRandom(settings.seed);
+    const dates = this.getDatesInRange(startDate, endDate);
+    const warnings = [];
+
+    if (dates.length === 0) {
+      return { counts: {}, total: 0, targetTotal: 0, activeDays: 0, warnings: ['The date range is empty'] };
+    }
+
+    // Vacation gaps: whole stretches without any activity
+    const onVacation = new Set();
+    for (let i = 0; i < settings.vacations; i++) {
+      const length = Math.max(1, Math.round(settings.vacationLength * (0.6 + random() * 0.8)));
+      const start = Math.floor(random() * Math.max(1, dates.length - length));
+      for (let day = start; day < start + length && day < dates.length; day++) {
+        onVacation.add(dates[day]);
+      }
+    }
+
+    // Bursty weights: a correlated random walk, so busy days cluster like real sprints
+    const correlation = 0.7;
+    const spread = settings.burstiness * 1.5;
+    let walk = 0;
+    const weights = {};
+    const activeDates = [];
+
+    dates.forEach(date => {
+      walk = correlation * walk + Math.sqrt(1 - correlation * correlation) * this.randomNormal(random);
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+      const probability = weekday === 0 || weekday === 6 ? settings.weekendProbability : settings.weekdayProbability;
+
+      if (onVacation.has(date) || random() >= probability) {
+        return;
+      }
+
+      activeDates.push(date);
+      weights[date] = Math.exp(spread * walk);
+    });
+
+    // The yearly total is scaled to the length of the range
+    const targetTotal = Math.round(settings.yearlyTotal * dates.length / 365);
+    const maxDaily = Math.max(1, settings.maxDaily);
+
+    // Fewer commits than active days: keep a random subset with one commit each
+    while (activeDates.length > targetTotal && activeDates.length > 0) {
+      activeDates.splice(Math.floor(random() * activeDates.length), 1);
+    }
+
+    if (targetTotal > activeDates.length * maxDaily) {
+      warnings.push(`Only ${activeDates.length * maxDaily} commits fit in ${activeDates.length} active days at ${maxDaily} per day`);
+    }
+
+    const weightSum = activeDates.reduce((sum, date) => sum + weights[date], 0);
+    const counts = {};
+    let total = 0;
+    activeDates.forEach(date => {
+      counts[date] = Math.min(maxDaily, Math.max(1, Math.round(targetTotal * weights[date] / weightSum)));
+      total += counts[date];
+    });
+
+    // Nudge random days up or down one commit at a time until the total matches
+    let attempts = activeDates.length * maxDaily;
+    while (total !== targetTotal && attempts-- > 0) {
+      const date = activeDates[Math.floor(random() * activeDates.length)];
+      if (total < targetTotal && counts[date] < maxDaily) {
+        counts[date]++;
+        total++;
+      } else if (total > targetTotal && counts[date] > 1) {
+        counts[date]--;
+        total--;
+      }
+    }
+
+    return {
+      counts: counts,
+      total: total,
+      targetTotal: targetTotal,
+      activeDays: activeDates.length,
+      warnings: warnings
+    };
+  }
+
+  // Form shown in the overlay's generator area
+  renderPanel(container, overlay) {
+    this.panel = container;
+    const year = overlay.currentYear;
+    const today = new Date().toISOString().split('T')[0];
+    const lastDay = `${year}-12-31` < today ? `${year}-12-31` : today;
+    const settings = this.defaultOptions;
+
+    container.innerHTML = `
+      <div class="histofy-generator-title">🌱 Realistic Activity</div>
+      <div class="histofy-generator-row">
+        <label>From <input type="date" id="histofy-activity-start" value="${year}-01-01" min="${year}-01-01" max="${year}-12-31"></label>
+        <label>To <input type="date" id="histofy-activity-end" value="${lastDay}" min="${year}-01-01" max="${year}-12-31"></label>
+        <label>Yearly total <input type="number" id="histofy-activity-total" value="${settings.yearlyTotal}" min="0" max="20000" step="50"></label>
+        <label>Max/day <input type="number" id="histofy-activity-max" value="${settings.maxDaily}" min="1" max="100" step="1"></label>
+      </div>
+      <div class="histofy-generator-row">
+        <label>Weekdays <input type="number" id="histofy-activity-weekday" value="${settings.weekdayProbability * 100}" min="0" max="100" step="5">%</label>
+        <label>Weekends <input type="number" id="histofy-activity-weekend" value="${settings.weekendProbability * 100}" min="0" max="100" step="5">%</label>
+        <label>Vacations <input type="number" id="histofy-activity-vacations" value="${settings.vacations}" min="0" max="12" step="1">
+          × <input type="number" id="histofy-activity-vacation-length" value="${settings.vacationLength}" min="1" max="60" step="1"> days</label>
+        <label>Burstiness
+          <input type="range" id="histofy-activity-burstiness" value="${settings.burstiness * 100}" min="0" max="100" step="5">
+        </label>
+        <label>Seed <input type="number" id="histofy-activity-seed" value="${settings.seed}" step="1"></label>
+        <button class="histofy-paint-tool" id="histofy-activity-reseed" title="Pick a new random seed">🎲</button>
+      </div>
+      <div class="histofy-generator-info" id="histofy-activity-info"></div>
+      <div class="histofy-generator-actions">
+        <label class="histofy-generator-check">
+          <input type="checkbox" id="histofy-activity-replace" checked> Replace current selection
+        </label>
+        <button class="histofy-generator-apply" id="histofy-activity-apply">Apply and queue</button>
+      </div>
+    `;
+
+    container.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => this.updatePreview(overlay));
+    });
+
+    container.querySelector('#histofy-activity-reseed').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      container.querySelector('#histofy-activity-seed').value = Math.floor(Math.random() * 1000000);
+      this.updatePreview(overlay);
+    });
+
+    container.querySelector('#histofy-activity-apply').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.applyToOverlay(overlay);
+    });
+
+    this.updatePreview(overlay);
+  }
+
+  closePanel() {
+    this.panel = null;
+  }
+
+  getPanelOptions() {
+    const number = (selector) => parseFloat(this.panel.querySelector(selector).value) || 0;
+    return {
+      startDate: this.panel.querySelector('#histofy-activity-start').value,
+      endDate: this.panel.querySelector('#histofy-activity-end').value,
+      yearlyTotal: Math.max(0, Math.round(number('#histofy-activity-total'))),
+      maxDaily: Math.min(100, Math.max(1, Math.round(number('#histofy-activity-max')))),
+      weekdayProbability: Math.min(100, Math.max(0, number('#histofy-activity-weekday'))) / 100,
+      weekendProbability: Math.min(100, Math.max(0, number('#histofy-activity-weekend'))) / 100,
+      vacations: Math.max(0, Math.round(number('#histofy-activity-vacations'))),
+      vacationLength: Math.max(1, Math.round(number('#histofy-activity-vacation-length'))),
+      burstiness: number('#histofy-activity-burstiness') / 100,
+      seed: Math.round(number('#histofy-activity-seed')),
+      replace: this.panel.querySelector('#histofy-activity-replace').checked
+    };
+  }
+
+  // Levels and exact counts for the overlay, one entry per active day
+  toOverlayEntries(counts, overlay) {
+    const entries = {};
+    Object.entries(counts).forEach(([date, count]) => {
+      entries[date] = { level: overlay.levelForCommitCount(date, count), commitCount: count };
+    });
+    return entries;
+  }
+
+  updatePreview(overlay) {
+    if (!this.panel) return;
+
+    const options = this.getPanelOptions();
+    const info = this.panel.querySelector('#histofy-activity-info');
+    const result = this.generate(options.startDate, options.endDate, options);
+    const entries = this.toOverlayEntries(result.counts, overlay);
+
+    const levels = {};
+    Object.entries(entries).forEach(([date, entry]) => {
+      levels[date] = entry.level;
+    });
+    overlay.previewLevels(levels);
+
+    const lines = [`${result.total} commits on ${result.activeDays} days (target ${result.targetTotal}), busiest day ${Math.max(0, ...Object.values(result.counts))}`];
+    info.innerHTML = lines.concat(result.warnings.map(warning => `<span class="histofy-generator-warning">⚠️ ${warning}</span>`)).join('<br>');
+  }
+
+  // Load the exact counts as the overlay selection and queue it as a date_selection change
+  async applyToOverlay(overlay) {
+    const options = this.getPanelOptions();
+    const result = this.generate(options.startDate, options.endDate, options);
+    const info = this.panel.querySelector('#histofy-activity-info');
+
+    const applied = overlay.applyGeneratedLevels(this.toOverlayEntries(result.counts, overlay), {
+      label: 'Realistic activity',
+      replace: options.replace
+    });
+
+    const queued = await overlay.forceStorePendingChanges();
+    if (!this.panel) return;
+
+    info.innerHTML = queued
+      ? `<span class="histofy-generator-success">✅ ${result.total} commits on ${applied} days queued for deployment</span>`
+      : '<span class="histofy-generator-warning">⚠️ Applied to the graph, but the pending change could not be stored</span>';
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActivityGenerator;
+} else if (typeof window !== 'undefined') {
+  window.ActivityGenerator = ActivityGenerator;
+  window.histofyActivityGenerator = new ActivityGenerator();
+}
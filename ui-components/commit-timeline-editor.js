@@ -0,0 +1,479 @@
+// Commit timeline editor for Histofy extension
+// Gives commits on a repository's /commits page new dates and queues them as a redate_commits history rewrite
+class CommitTimelineEditor {
+  constructor() {
+    this.isActive = false;
+    // { owner, repo, branch } of the commits page; branch is null for the default branch
+    this.context = null;
+    // Commits found on the page: sha -> { sha, message, date }
+    this.commits = new Map();
+    this.selected = new Set();
+    // sha -> new date (YYYY-MM-DD)
+    this.assignments = new Map();
+    this.queuedShas = new Set();
+    this.calendarMonth = null;
+    this.panel = null;
+    this.observer = null;
+    this.decorateTimer = null;
+    this.init();
+  }
+
+  init() {
+    document.addEventListener('histofy-page-change', (event) => {
+      this.handlePageChange(event.detail || {});
+    });
+
+    // The detector runs first and may already know the page
+    if (window.histofyDetector?.currentPage) {
+      this.handlePageChange(window.histofyDetector.currentPage);
+    }
+  }
+
+  handlePageChange({ page, username, repository, pathname }) {
+    const parts = (pathname || window.location.pathname).split('/').filter(part => part.length > 0);
+    if (page !== 'commit' || parts[2] !== 'commits') {
+      this.deactivate();
+      return;
+    }
+
+    const context = {
+      owner: username,
+      repo: repository,
+      branch: parts.length > 3 ? decodeURIComponent(parts.slice(3).join('/')) : null
+    };
+
+    if (this.isActive && this.context && document.querySelector('.histofy-commit-editor') &&
+        JSON.stringify(this.context) === JSON.stringify(context)) {
+      this.decorateRows();
+      return;
+    }
+
+    this.deactivate();
+    this.context = context;
+    setTimeout(() => this.activate(), 500);
+  }
+
+  activate() {
+    if (this.isActive || !this.context) return;
+
+    const container = document.querySelector('.repository-content') || document.querySelector('main');
+    if (!container) {
+      console.log('Histofy: Commits page container not found, skipping timeline editor');
+      return;
+    }
+
+    this.isActive = true;
+    this.calendarMonth = new Date().toISOString().substring(0, 7);
+    this.renderPanel(container);
+    this.decorateRows();
+    this.refreshQueuedMarkers();
+
+    // GitHub renders more rows on pagination and client-side navigation
+    this.observer = new MutationObserver(() => {
+      clearTimeout(this.decorateTimer);
+      this.decorateTimer = setTimeout(() => this.decorateRows(), 300);
+    });
+    this.observer.observe(container, { childList: true, subtree: true });
+  }
+
+  deactivate() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.decorateTimer);
+
+    document.querySelectorAll('.histofy-commit-editor, .histofy-commit-controls').forEach(el => el.remove());
+    document.querySelectorAll('[data-histofy-commit]').forEach(row => row.removeAttribute('data-histofy-commit'));
+
+    this.isActive = false;
+    this.context = null;
+    this.panel = null;
+    this.commits.clear();
+    this.selected.clear();
+    this.assignments.clear();
+  }
+
+  renderPanel(container) {
+    const { owner, repo, branch } = this.context;
+    const today = new Date().toISOString().split('T')[0];
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'histofy-commit-editor';
+    this.panel.innerHTML = `
+      <div class="histofy-commit-editor-header">
+        <h3>🕒 Commit Timeline Editor</h3>
+        <span class="histofy-commit-editor-ref">${escapeHtml(`${owner}/${repo}${branch ? `@${branch}` : ''}`)}</span>
+      </div>
+      <div class="histofy-commit-editor-body">
+        <div class="histofy-commit-editor-controls">
+          <div class="histofy-commit-editor-row">
+            <span><strong id="histofy-commit-editor-count">0</strong> selected</span>
+            <button class="histofy-commit-editor-btn" id="histofy-commit-editor-select-all">Select all</button>
+            <button class="histofy-commit-editor-btn" id="histofy-commit-editor-select-none">Select none</button>
+          </div>
+          <div class="histofy-commit-editor-row">
+            <label>New date <input type="date" id="histofy-commit-editor-date" max="${today}" value="${today}"></label>
+            <button class="histofy-commit-editor-btn" id="histofy-commit-editor-assign">📅 Assign to selected</button>
+          </div>
+          <div class="histofy-commit-editor-assignments" id="histofy-commit-editor-assignments"></div>
+          <div class="histofy-commit-editor-info" id="histofy-commit-editor-info">
+            Tick commits and pick a date, or drag a commit's ⠿ handle onto a calendar day.
+          </div>
+          <div class="histofy-commit-editor-row">
+            <button class="histofy-commit-editor-btn" id="histofy-commit-editor-preview">🔍 Preview Rewrite</button>
+            <button class="histofy-commit-editor-btn histofy-commit-editor-primary" id="histofy-commit-editor-queue">➕ Queue Rewrite</button>
+            <button class="histofy-commit-editor-btn" id="histofy-commit-editor-reset">Reset</button>
+          </div>
+        </div>
+        <div class="histofy-mini-calendar" id="histofy-commit-editor-calendar"></div>
+      </div>
+    `;
+    container.prepend(this.panel);
+
+    const bind = (selector, handler) => {
+      this.panel.querySelector(selector).addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler();
+      });
+    };
+    bind('#histofy-commit-editor-select-all', () => this.setSelection([...this.commits.keys()]));
+    bind('#histofy-commit-editor-select-none', () => this.setSelection([]));
+    bind('#histofy-commit-editor-assign', () => {
+      this.assignDate([...this.selected], this.panel.querySelector('#histofy-commit-editor-date').value);
+    });
+    bind('#histofy-commit-editor-preview', () => this.previewRewrite());
+    bind('#histofy-commit-editor-queue', () => this.queueRewrite());
+    bind('#histofy-commit-editor-reset', () => {
+      this.assignments.clear();
+      this.updateView();
+    });
+
+    this.panel.querySelector('#histofy-commit-editor-assignments').addEventListener('click', (e) => {
+      const sha = e.target.getAttribute('data-unassign');
+      if (!sha) return;
+      e.preventDefault();
+      this.assignments.delete(sha);
+      this.updateView();
+    });
+
+    this.renderCalendar();
+  }
+
+  findCommitRows() {
+    return Array.from(document.querySelectorAll('[data-testid="commit-row-item"], .js-commits-list-item'));
+  }
+
+  // Read a commit row: full SHA from its commit link, date from its relative-time element
+  parseCommitRow(row) {
+    const links = Array.from(row.querySelectorAll('a[href*="/commit/"]'));
+    const shaLink = links.find(link => /\/commit\/[0-9a-f]{40}/.test(link.getAttribute('href')));
+    const time = row.querySelector('relative-time[datetime]');
+    if (!shaLink || !time) return null;
+
+    const titleLink = links.find(link => link.textContent.trim().length > 0 && !/^[0-9a-f]{7,40}$/.test(link.textContent.trim()));
+    return {
+      sha: shaLink.getAttribute('href').match(/\/commit\/([0-9a-f]{40})/)[1],
+      message: (titleLink ? titleLink.textContent : '').trim().split('\n')[0],
+      date: new Date(time.getAttribute('datetime')).toISOString()
+    };
+  }
+
+  // Add a checkbox, drag handle and status badge to every commit row not seen yet
+  decorateRows() {
+    if (!this.isActive) return;
+
+    this.findCommitRows().forEach(row => {
+      if (row.hasAttribute('data-histofy-commit')) return;
+
+      const commit = this.parseCommitRow(row);
+      if (!commit) return;
+
+      row.setAttribute('data-histofy-commit', commit.sha);
+      this.commits.set(commit.sha, commit);
+
+      const controls = document.createElement('span');
+      controls.className = 'histofy-commit-controls';
+      controls.innerHTML = `
+        <input type="checkbox" class="histofy-commit-select" title="Select for re-dating">
+        <span class="histofy-commit-handle" draggable="true" title="Drag onto a calendar day">⠿</span>
+        <span class="histofy-commit-badge"></span>
+      `;
+      row.prepend(controls);
+
+      const checkbox = controls.querySelector('.histofy-commit-select');
+      checkbox.addEventListener('click', (e) => e.stopPropagation());
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.selected.add(commit.sha);
+        } else {
+          this.selected.delete(commit.sha);
+        }
+        this.updateView();
+      });
+
+      controls.querySelector('.histofy-commit-handle').addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', commit.sha);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+    });
+
+    this.updateView();
+  }
+
+  setSelection(shas) {
+    this.selected = new Set(shas);
+    this.updateView();
+  }
+
+  assignDate(shas, date) {
+    const info = this.panel.querySelector('#histofy-commit-editor-info');
+    const today = new Date().toISOString().split('T')[0];
+
+    if (shas.length === 0) {
+      info.textContent = 'Select at least one commit first';
+      return;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || date > today) {
+      info.textContent = 'Pick a date that is not in the future';
+      return;
+    }
+
+    shas.forEach(sha => {
+      // Assigning a commit its own day again drops the assignment
+      if (this.commits.get(sha)?.date.startsWith(date)) {
+        this.assignments.delete(sha);
+      } else {
+        this.assignments.set(sha, date);
+      }
+    });
+    info.textContent = `${shas.length} commit${shas.length === 1 ? '' : 's'} assigned to ${date}`;
+    this.updateView();
+  }
+
+  // Sync row checkboxes, badges, the assignment list and the calendar with the current state
+  updateView() {
+    if (!this.panel) return;
+
+    document.querySelectorAll('[data-histofy-commit]').forEach(row => {
+      const sha = row.getAttribute('data-histofy-commit');
+      const checkbox = row.querySelector('.histofy-commit-select');
+      const badge = row.querySelector('.histofy-commit-badge');
+      if (!checkbox || !badge) return;
+
+      checkbox.checked = this.selected.has(sha);
+      if (this.assignments.has(sha)) {
+        badge.textContent = `→ ${this.assignments.get(sha)}`;
+      } else if (this.queuedShas.has(sha)) {
+        badge.textContent = '⏳ queued';
+      } else {
+        badge.textContent = '';
+      }
+    });
+
+    this.panel.querySelector('#histofy-commit-editor-count').textContent = this.selected.size;
+
+    const assignments = [...this.assignments.entries()];
+    this.panel.querySelector('#histofy-commit-editor-assignments').innerHTML = assignments.length === 0
+      ? ''
+      : assignments.map(([sha, date]) => {
+        const commit = this.commits.get(sha);
+        return `
+          <div class="histofy-commit-editor-assignment">
+            <code>${sha.substring(0, 7)}</code>
+            <span class="histofy-commit-editor-message">${escapeHtml(commit?.message || '')}</span>
+            <span>${commit ? commit.date.split('T')[0] : '?'} &rarr; <strong>${date}</strong></span>
+            <button class="histofy-commit-editor-unassign" data-unassign="${sha}" title="Keep the original date">✕</button>
+          </div>
+        `;
+      }).join('');
+
+    this.renderCalendar();
+  }
+
+  // Month grid the selected or dragged commits can be dropped onto
+  renderCalendar() {
+    const calendar = this.panel && this.panel.querySelector('#histofy-commit-editor-calendar');
+    if (!calendar) return;
+
+    const [year, month] = this.calendarMonth.split('-').map(Number);
+    const first = Date.UTC(year, month - 1, 1);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const today = new Date().toISOString().split('T')[0];
+    const monthName = new Date(first).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    const assignedPerDate = {};
+    this.assignments.forEach(date => {
+      assignedPerDate[date] = (assignedPerDate[date] || 0) + 1;
+    });
+
+    let cells = '<span class="histofy-mini-calendar-blank"></span>'.repeat(new Date(first).getUTCDay());
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = `${this.calendarMonth}-${String(day).padStart(2, '0')}`;
+      const count = assignedPerDate[date] || 0;
+      cells += `
+        <button class="histofy-mini-calendar-day ${count > 0 ? 'histofy-mini-calendar-assigned' : ''}"
+                data-date="${date}" ${date > today ? 'disabled' : ''}
+                title="${count > 0 ? `${count} commit${count === 1 ? '' : 's'} moving here` : date}">${day}</button>
+      `;
+    }
+
+    calendar.innerHTML = `
+      <div class="histofy-mini-calendar-header">
+        <button class="histofy-mini-calendar-nav" data-step="-1" title="Previous month">‹</button>
+        <span>${monthName}</span>
+        <button class="histofy-mini-calendar-nav" data-step="1" title="Next month" ${this.calendarMonth >= today.substring(0, 7) ? 'disabled' : ''}>›</button>
+      </div>
+      <div class="histofy-mini-calendar-grid">
+        ${['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(name => `<span class="histofy-mini-calendar-weekday">${name}</span>`).join('')}
+        ${cells}
+      </div>
+    `;
+
+    calendar.querySelectorAll('.histofy-mini-calendar-nav').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const shifted = new Date(Date.UTC(year, month - 1 + parseInt(button.getAttribute('data-step'), 10), 1));
+        this.calendarMonth = shifted.toISOString().substring(0, 7);
+        this.renderCalendar();
+      });
+    });
+
+    calendar.querySelectorAll('.histofy-mini-calendar-day:not([disabled])').forEach(cell => {
+      const date = cell.getAttribute('data-date');
+
+      cell.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.panel.querySelector('#histofy-commit-editor-date').value = date;
+        this.assignDate([...this.selected], date);
+      });
+
+      cell.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        cell.classList.add('histofy-mini-calendar-drop');
+      });
+      cell.addEventListener('dragleave', () => cell.classList.remove('histofy-mini-calendar-drop'));
+      cell.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const sha = e.dataTransfer.getData('text/plain');
+        if (!this.commits.has(sha)) return;
+        // Dragging a selected commit moves the whole selection
+        this.assignDate(this.selected.has(sha) ? [...this.selected] : [sha], date);
+      });
+    });
+  }
+
+  // The redate_commits change for the current assignments, oldest commit first
+  buildChange() {
+    const commits = [...this.assignments.entries()]
+      .map(([sha, targetDate]) => {
+        const commit = this.commits.get(sha);
+        return { sha: sha, message: commit.message, date: commit.date, targetDate: targetDate };
+      })
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return {
+      type: 'redate_commits',
+      repository: `${this.context.owner}/${this.context.repo}`,
+      branch: this.context.branch,
+      commits: commits
+    };
+  }
+
+  async previewRewrite() {
+    const info = this.panel.querySelector('#histofy-commit-editor-info');
+    const deployButton = window.histofyDeployButton;
+
+    if (this.assignments.size === 0) {
+      info.textContent = 'Assign new dates to some commits first';
+      return;
+    }
+    if (!deployButton?.githubDeployer || !deployButton.githubAPI?.isAuthenticated()) {
+      info.textContent = 'Connect your GitHub token in the Histofy deploy panel first';
+      return;
+    }
+
+    info.textContent = 'Planning rewrite...';
+    try {
+      const plan = await deployButton.githubDeployer.planHistoryRewrite(this.buildChange());
+      info.innerHTML = deployButton.renderRewritePreview(plan);
+    } catch (error) {
+      info.innerHTML = `<span class="histofy-rewrite-error">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+  }
+
+  // Queue the assignments, merged into any rewrite already pending for this branch
+  async queueRewrite() {
+    const info = this.panel.querySelector('#histofy-commit-editor-info');
+    if (this.assignments.size === 0) {
+      info.textContent = 'Assign new dates to some commits first';
+      return;
+    }
+    if (!window.histofyStorage) return;
+
+    const change = this.buildChange();
+
+    try {
+      const pending = await window.histofyStorage.getPendingChanges();
+      const existing = pending.find(candidate => candidate.type === 'redate_commits' &&
+        candidate.repository === change.repository && candidate.branch === change.branch);
+
+      if (existing) {
+        const reassigned = new Set(change.commits.map(commit => commit.sha));
+        change.commits = [...existing.commits.filter(commit => !reassigned.has(commit.sha)), ...change.commits]
+          .sort((a, b) => a.date.localeCompare(b.date));
+        await window.histofyStorage.removePendingChange(existing.id);
+      }
+
+      await window.histofyStorage.addPendingChange({
+        ...change,
+        timestamp: new Date().toISOString()
+      });
+
+      info.innerHTML = `<span class="histofy-commit-editor-success">✅ ${change.commits.length} commit${change.commits.length === 1 ? '' : 's'} queued for re-dating - deploy from the Histofy panel</span>`;
+      this.assignments.clear();
+      this.selected.clear();
+      await this.refreshQueuedMarkers();
+
+      if (window.histofyDeployButton) {
+        window.histofyDeployButton.updatePendingCount();
+      }
+    } catch (error) {
+      console.error('Histofy: Failed to queue commit re-dates:', error);
+      info.innerHTML = `<span class="histofy-rewrite-error">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+  }
+
+  // Mark rows whose commits already sit in a pending history rewrite
+  async refreshQueuedMarkers() {
+    if (!this.isActive || !window.histofyStorage) return;
+
+    const repository = `${this.context.owner}/${this.context.repo}`;
+    const pending = await window.histofyStorage.getPendingChanges();
+    this.queuedShas = new Set(pending
+      .filter(change => change.repository === repository && Array.isArray(change.commits))
+      .flatMap(change => change.commits.map(commit => commit.sha)));
+    this.updateView();
+  }
+
+  // Called by the detector when storage changes elsewhere
+  handleStorageUpdate() {
+    this.refreshQueuedMarkers();
+  }
+
+  clearPendingChanges() {
+    this.queuedShas.clear();
+    this.updateView();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommitTimelineEditor;
+} else if (typeof window !== 'undefined') {
+  window.CommitTimelineEditor = CommitTimelineEditor;
+  window.histofyCommitEditor = new CommitTimelineEditor();
+}
@@ -8,6 +8,35 @@ class ContributionGraphOverlay {
     this.debugMode = false;
     this.tileEventHandlers = new Map();
     this.protectionHandler = null;
+    this.calibrator = window.ContributionCalibrator ? new window.ContributionCalibrator() : null;
+    this.existingCounts = null;
+    this.existingTotal = 0;
+    this.calibrationUser = null;
+    this.calibrationPanel = null;
+    this.projection = null;
+    this.tileTooltip = null;
+    this.countPopover = null;
+    this.countPopoverOutsideHandler = null;
+    this.viewMode = 'edit';
+    
+    // Painting tools: 'cycle' (click to cycle levels), 'brush' or 'eraser'
+    this.paintTool = 'cycle';
+    this.brushLevel = 1;
+    this.isPainting = false;
+    this.paintAnchorDate = null;
+    this.lastPaintedDate = null;
+    this.paintEndHandler = null;
+    this.toolbar = null;
+    
+    // Undo/redo stacks of tile changes, persisted per user/year
+    this.editHistory = { undo: [], redo: [] };
+    this.pendingEdit = null;
+    this.maxHistorySteps = 50;
+    
+    // Pattern generator panel opened from the toolbar
+    this.generatorPanel = null;
+    this.activeGenerator = null;
+    this.previewDates = new Set();
     
     this.contributionLevels = {
       0: { level: 0, name: 'None', color: '#ebedf0', commits: '0' },
@@ -39,6 +68,17 @@ class ContributionGraphOverlay {
       if (e.key === 'Escape' && this.isActive) {
         this.clearAllSelections();
       }
+
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) outside of text fields
+      const isTextField = e.target && (e.target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName));
+      if (this.isActive && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTextField) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      }
     });
 
     window.addEventListener('storage', (e) => {
@@ -84,6 +124,9 @@ class ContributionGraphOverlay {
       this.setupContributionTiles();
       await this.loadContributions();
       this.setupDeactivationProtection();
+      this.setupPaintHandlers();
+      this.renderToolbar();
+      this.loadCalibration();
       
       return true;
     } catch (error) {
@@ -189,16 +232,51 @@ class ContributionGraphOverlay {
               return false;
             }
             
+            // Brush and eraser already applied on mousedown
+            if (this.paintTool !== 'cycle') {
+              return false;
+            }
+            
             console.log(`Histofy: Tile clicked: ${date}`);
             this.handleTileClick(tile, date);
             return false;
           };
 
+          // Brush/eraser: start a drag stroke, or fill a rectangle with shift
+          const mouseDownHandler = (e) => {
+            if (!this.isActive) return;
+            e.stopPropagation();
+            e.stopImmediatePropagation();
+
+            if (this.paintTool === 'cycle' || e.button !== 0) return;
+            e.preventDefault();
+
+            if (e.shiftKey && this.paintAnchorDate) {
+              this.beginEdit('Fill rectangle');
+              this.fillRectangle(this.paintAnchorDate, date);
+              this.finishPainting();
+              return;
+            }
+
+            this.beginEdit(this.paintTool === 'eraser' ? 'Erase' : 'Paint stroke');
+            this.isPainting = true;
+            this.paintAnchorDate = date;
+            this.paintTile(tile, date);
+          };
+
+          const mouseMoveHandler = (e) => {
+            if (this.isActive && this.isPainting && this.lastPaintedDate !== date) {
+              e.stopPropagation();
+              this.paintTile(tile, date);
+            }
+          };
+
           const mouseEnterHandler = (e) => {
             if (this.isActive) {
               e.stopPropagation();
               tile.style.opacity = '0.8';
               tile.style.transform = 'scale(1.05)';
+              this.showTileTooltip(tile, date);
             }
           };
 
@@ -207,6 +285,7 @@ class ContributionGraphOverlay {
               e.stopPropagation();
               tile.style.opacity = '1';
               tile.style.transform = 'scale(1)';
+              this.hideTileTooltip();
             }
           };
 
@@ -218,12 +297,25 @@ class ContributionGraphOverlay {
             }
           };
 
+          // Right-click opens the exact commit count popover
+          const contextMenuHandler = (e) => {
+            if (this.isActive) {
+              e.preventDefault();
+              e.stopPropagation();
+              e.stopImmediatePropagation();
+              this.showCommitCountPopover(tile, date);
+            }
+          };
+
           // Store handlers for cleanup
           this.tileEventHandlers.set(tile, {
             click: clickHandler,
             mouseenter: mouseEnterHandler,
             mouseleave: mouseLeaveHandler,
             blockHandler: blockHandler,
+            mousedown: mouseDownHandler,
+            mousemove: mouseMoveHandler,
+            contextmenu: contextMenuHandler,
             originalPointerEvents: originalPointerEvents
           });
 
@@ -231,9 +323,10 @@ class ContributionGraphOverlay {
           tile.addEventListener('click', clickHandler, { capture: true, passive: false });
           tile.addEventListener('mouseenter', mouseEnterHandler, { capture: true });
           tile.addEventListener('mouseleave', mouseLeaveHandler, { capture: true });
-          tile.addEventListener('mousedown', blockHandler, { capture: true });
+          tile.addEventListener('mousedown', mouseDownHandler, { capture: true, passive: false });
+          tile.addEventListener('mousemove', mouseMoveHandler, { capture: true });
           tile.addEventListener('mouseup', blockHandler, { capture: true });
-          tile.addEventListener('contextmenu', blockHandler, { capture: true });
+          tile.addEventListener('contextmenu', contextMenuHandler, { capture: true, passive: false });
           
           // Add visual indicators
           tile.style.cursor = 'pointer';
@@ -282,9 +375,16 @@ class ContributionGraphOverlay {
           tile.removeEventListener('mouseleave', handlers.mouseleave, { capture: true });
         }
         if (handlers.blockHandler) {
-          tile.removeEventListener('mousedown', handlers.blockHandler, { capture: true });
           tile.removeEventListener('mouseup', handlers.blockHandler, { capture: true });
-          tile.removeEventListener('contextmenu', handlers.blockHandler, { capture: true });
+        }
+        if (handlers.mousedown) {
+          tile.removeEventListener('mousedown', handlers.mousedown, { capture: true });
+        }
+        if (handlers.mousemove) {
+          tile.removeEventListener('mousemove', handlers.mousemove, { capture: true });
+        }
+        if (handlers.contextmenu) {
+          tile.removeEventListener('contextmenu', handlers.contextmenu, { capture: true });
         }
         
         // Reset tile styles and properties
@@ -344,6 +444,29 @@ class ContributionGraphOverlay {
     
     // Remove all event handlers
     this.removeContributionHandlers()
+    this.removePaintHandlers();
+    if (this.toolbar) {
+      this.toolbar.remove();
+      this.toolbar = null;
+    }
+    this.closeGeneratorPanel();
+    
+    // Return tiles to their edit colors before leaving the projected view
+    if (this.viewMode === 'projected') {
+      this.restoreEditView();
+    }
+    this.viewMode = 'edit';
+    
+    // Remove calibration info and hover tooltip
+    if (this.calibrationPanel) {
+      this.calibrationPanel.remove();
+      this.calibrationPanel = null;
+    }
+    if (this.tileTooltip) {
+      this.tileTooltip.remove();
+      this.tileTooltip = null;
+    }
+    this.hideCommitCountPopover();
     
     // Reset any modified tiles to original state (but keep colors if user selected them)
     document.querySelectorAll('[data-histofy-active]').forEach(tile => {
@@ -365,6 +488,7 @@ class ContributionGraphOverlay {
     }
 
     console.log(`Histofy: Processing click for ${date}`);
+    this.beginEdit('Cycle tile');
 
     // Get current level or default to 0 (no contribution)
     const currentLevel = this.contributions[date]?.level || 0;
@@ -392,7 +516,8 @@ class ContributionGraphOverlay {
     this.updateTileAppearance(tile, date, nextLevel)
     
     // Save to storage (but don't add to pending changes automatically)
-    this.saveContributions();
+    this.commitEdit();
+    this.renderCalibrationInfo();
     
     // Note: Pending changes are now only added when "Store Changes" button is clicked
 
@@ -433,15 +558,834 @@ class ContributionGraphOverlay {
       }
       
       // Update tooltip/title
-      const tooltip = `${date}: ${levelConfig.name} (${levelConfig.commits} commits) - Modified by Histofy`;
+      const exactCount = this.contributions[date]?.commitCount;
+      const tooltip = Number.isInteger(exactCount)
+        ? `${date}: ${levelConfig.name} (${exactCount} commits, exact) - Modified by Histofy`
+        : `${date}: ${levelConfig.name} (${levelConfig.commits} commits) - Modified by Histofy`;
       tile.setAttribute('title', tooltip);
       tile.setAttribute('data-histofy-title', tooltip);
     }
   }
 
+  // Painting toolbar: cycle mode, a level palette for the brush, and an eraser
+  renderToolbar() {
+    if (!this.isActive) return;
+
+    if (!this.toolbar || !this.toolbar.isConnected) {
+      this.toolbar = document.createElement('div');
+      this.toolbar.className = 'histofy-paint-toolbar';
+
+      const activateActions = document.querySelector('.histofy-activate-actions');
+      const contributionGraph = this.findContributionGraph();
+      if (activateActions) {
+        activateActions.insertAdjacentElement('afterend', this.toolbar);
+      } else if (contributionGraph) {
+        contributionGraph.parentNode.insertBefore(this.toolbar, contributionGraph);
+      } else {
+        return;
+      }
+    }
+
+    const swatchesHtml = [1, 2, 3, 4].map(level => {
+      const levelConfig = this.contributionLevels[level];
+      const selected = this.paintTool === 'brush' && this.brushLevel === level;
+      return `
+        <button class="histofy-paint-swatch ${selected ? 'histofy-paint-selected' : ''}" data-level="${level}"
+                title="Paint ${levelConfig.name} (${levelConfig.commits} commits)" style="background: ${levelConfig.color};"></button>
+      `;
+    }).join('');
+
+    this.toolbar.innerHTML = `
+      <button class="histofy-paint-tool ${this.paintTool === 'cycle' ? 'histofy-paint-selected' : ''}" data-tool="cycle" title="Click tiles to cycle through levels">🔁 Cycle</button>
+      <span class="histofy-paint-label">Brush:</span>
+      ${swatchesHtml}
+      <button class="histofy-paint-tool ${this.paintTool === 'eraser' ? 'histofy-paint-selected' : ''}" data-tool="eraser" title="Drag to remove selections">🧽 Eraser</button>
+      <button class="histofy-paint-tool" id="histofy-undo" title="Undo (Ctrl+Z)" ${this.editHistory.undo.length === 0 ? 'disabled' : ''}>↶ Undo</button>
+      <button class="histofy-paint-tool" id="histofy-redo" title="Redo (Ctrl+Shift+Z)" ${this.editHistory.redo.length === 0 ? 'disabled' : ''}>↷ Redo</button>
+      ${this.getGenerators().map(generator => `
+        <button class="histofy-paint-tool ${this.activeGenerator === generator.key ? 'histofy-paint-selected' : ''}" data-generator="${generator.key}" title="${generator.title}">${generator.label}</button>
+      `).join('')}
+      <span class="histofy-paint-hint">Drag to paint &middot; Shift+click to fill a rectangle</span>
+    `;
+
+    this.toolbar.querySelectorAll('[data-generator]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.toggleGeneratorPanel(button.getAttribute('data-generator'));
+      });
+    });
+
+    this.toolbar.querySelectorAll('[data-tool]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.setPaintTool(button.getAttribute('data-tool'));
+      });
+    });
+
+    this.toolbar.querySelector('#histofy-undo').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.undo();
+    });
+
+    this.toolbar.querySelector('#histofy-redo').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.redo();
+    });
+
+    this.toolbar.querySelectorAll('.histofy-paint-swatch').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.setPaintTool('brush', parseInt(button.getAttribute('data-level'), 10));
+      });
+    });
+  }
+
+  setPaintTool(tool, level = this.brushLevel) {
+    this.paintTool = tool;
+    this.brushLevel = level;
+    this.paintAnchorDate = null;
+    this.renderToolbar();
+  }
+
+  setupPaintHandlers() {
+    this.removePaintHandlers();
+
+    // A stroke ends wherever the mouse is released, not only on a tile
+    this.paintEndHandler = () => {
+      if (this.isPainting) {
+        this.finishPainting();
+      }
+    };
+    document.addEventListener('mouseup', this.paintEndHandler, true);
+  }
+
+  removePaintHandlers() {
+    if (this.paintEndHandler) {
+      document.removeEventListener('mouseup', this.paintEndHandler, true);
+      this.paintEndHandler = null;
+    }
+    this.isPainting = false;
+    this.lastPaintedDate = null;
+  }
+
+  // Apply the active brush (or eraser) to one tile without saving yet
+  paintTile(tile, date) {
+    const level = this.paintTool === 'eraser' ? 0 : this.brushLevel;
+    this.lastPaintedDate = date;
+
+    if (level === 0) {
+      if (!this.contributions[date]) return;
+      delete this.contributions[date];
+    } else {
+      if (this.contributions[date]?.level === level && !Number.isInteger(this.contributions[date].commitCount)) return;
+      this.contributions[date] = {
+        ...this.contributionLevels[level],
+        date: date
+      };
+    }
+
+    this.updateTileAppearance(tile, date, level);
+  }
+
+  // Paint every tile inside the week/weekday rectangle spanned by two dates
+  fillRectangle(fromDate, toDate) {
+    const from = this.getTileGridPosition(fromDate);
+    const to = this.getTileGridPosition(toDate);
+    const minWeek = Math.min(from.week, to.week);
+    const maxWeek = Math.max(from.week, to.week);
+    const minDay = Math.min(from.day, to.day);
+    const maxDay = Math.max(from.day, to.day);
+
+    let painted = 0;
+    document.querySelectorAll('[data-date]').forEach(tile => {
+      const date = tile.getAttribute('data-date');
+      if (!date) return;
+
+      const position = this.getTileGridPosition(date);
+      if (position.week >= minWeek && position.week <= maxWeek && position.day >= minDay && position.day <= maxDay) {
+        this.paintTile(tile, date);
+        painted++;
+      }
+    });
+
+    this.paintAnchorDate = toDate;
+    console.log(`Histofy: Filled ${painted} tiles from ${fromDate} to ${toDate}`);
+  }
+
+  finishPainting() {
+    this.isPainting = false;
+    this.lastPaintedDate = null;
+    this.commitEdit();
+    this.renderCalibrationInfo();
+  }
+
+  // Pattern generators available in this page, each exposing renderPanel(container, overlay)
+  getGenerators() {
+    return [
+      { key: 'text', label: '🔤 Text', title: 'Write text across the graph', instance: window.histofyTextBanner },
+      { key: 'image', label: '🖼️ Image', title: 'Turn a picture into a pattern', instance: window.histofyImageImporter },
+      { key: 'templates', label: '📚 Templates', title: 'Apply or save pattern templates', instance: window.histofyTemplateLibrary },
+      { key: 'activity', label: '🌱 Activity', title: 'Generate realistic looking activity', instance: window.histofyActivityGenerator }
+    ].filter(generator => generator.instance);
+  }
+
+  toggleGeneratorPanel(key) {
+    const wasActive = this.activeGenerator === key;
+    this.closeGeneratorPanel();
+
+    if (wasActive || !this.toolbar) {
+      this.renderToolbar();
+      return;
+    }
+
+    const generator = this.getGenerators().find(item => item.key === key);
+    if (!generator) return;
+
+    this.activeGenerator = key;
+    this.generatorPanel = document.createElement('div');
+    this.generatorPanel.className = 'histofy-generator-panel';
+    this.toolbar.insertAdjacentElement('afterend', this.generatorPanel);
+    generator.instance.renderPanel(this.generatorPanel, this);
+    this.renderToolbar();
+  }
+
+  // Let the open generator clean up, then drop its panel and any preview it left on the graph
+  closeGeneratorPanel() {
+    const generator = this.getGenerators().find(item => item.key === this.activeGenerator);
+    if (generator && typeof generator.instance.closePanel === 'function') {
+      generator.instance.closePanel(this);
+    }
+
+    this.clearPreview();
+    if (this.generatorPanel) {
+      this.generatorPanel.remove();
+      this.generatorPanel = null;
+    }
+    this.activeGenerator = null;
+  }
+
+  // Show a { date: level } map on the graph without touching contributions
+  previewLevels(levels) {
+    if (this.viewMode === 'projected') {
+      this.setViewMode('edit');
+    }
+
+    const dates = new Set([...this.previewDates, ...Object.keys(levels)]);
+    dates.forEach(date => {
+      const tile = document.querySelector(`[data-date="${date}"]`);
+      if (!tile) return;
+
+      if (date in levels) {
+        this.updateTileAppearance(tile, date, levels[date]);
+        tile.setAttribute('data-histofy-preview', 'true');
+      } else {
+        this.updateTileAppearance(tile, date, this.contributions[date]?.level || 0);
+        tile.removeAttribute('data-histofy-preview');
+      }
+    });
+
+    this.previewDates = new Set(Object.keys(levels));
+  }
+
+  clearPreview() {
+    this.previewDates.forEach(date => {
+      const tile = document.querySelector(`[data-date="${date}"]`);
+      if (!tile) return;
+      this.updateTileAppearance(tile, date, this.contributions[date]?.level || 0);
+      tile.removeAttribute('data-histofy-preview');
+    });
+    this.previewDates = new Set();
+  }
+
+  // Week columns of the graph, relative to its first column, with the date in every cell
+  getGraphGrid() {
+    const positions = [];
+    document.querySelectorAll('[data-date]').forEach(tile => {
+      const date = tile.getAttribute('data-date');
+      if (date) {
+        positions.push({ date, ...this.getTileGridPosition(date) });
+      }
+    });
+
+    if (positions.length === 0) {
+      return { columns: 0, firstWeek: 0, cells: {} };
+    }
+
+    const firstWeek = Math.min(...positions.map(position => position.week));
+    const lastWeek = Math.max(...positions.map(position => position.week));
+    const cells = {};
+    positions.forEach(position => {
+      cells[`${position.week - firstWeek}:${position.day}`] = position.date;
+    });
+
+    return { columns: lastWeek - firstWeek + 1, firstWeek: firstWeek, cells: cells };
+  }
+
+  // Load a generated { date: level } map as a normal, undoable selection.
+  // Entries may also be { level, commitCount } to set exact commit counts.
+  applyGeneratedLevels(levels, options = {}) {
+    const replace = options.replace !== false;
+    this.clearPreview();
+    this.beginEdit(options.label || 'Generate pattern');
+
+    const dates = new Set(Object.keys(levels));
+    if (replace) {
+      Object.keys(this.contributions).forEach(date => dates.add(date));
+    }
+
+    let applied = 0;
+    dates.forEach(date => {
+      const entry = levels[date];
+      const level = (typeof entry === 'object' && entry !== null ? entry.level : entry) || 0;
+      const commitCount = typeof entry === 'object' && entry !== null ? entry.commitCount : undefined;
+      if (level > 0) {
+        this.contributions[date] = {
+          ...this.contributionLevels[level],
+          ...(Number.isInteger(commitCount) ? { commitCount: commitCount } : {}),
+          date: date
+        };
+        applied++;
+      } else if (replace) {
+        delete this.contributions[date];
+      } else {
+        return;
+      }
+
+      const tile = document.querySelector(`[data-date="${date}"]`);
+      if (tile) {
+        this.updateTileAppearance(tile, date, level);
+      }
+    });
+
+    this.commitEdit();
+    this.renderCalibrationInfo();
+    console.log(`Histofy: ${options.label || 'Generated pattern'} applied to ${applied} dates`);
+    return applied;
+  }
+
+  // Column (week, counted from Sundays) and row (0 = Sunday) of a date on the graph
+  getTileGridPosition(date) {
+    const days = Math.floor(Date.parse(`${date}T00:00:00Z`) / 86400000);
+    // 1970-01-01 was a Thursday, so shift by four days to start weeks on Sunday
+    return {
+      week: Math.floor((days + 4) / 7),
+      day: (days + 4) % 7
+    };
+  }
+
+  // Date shown at a week/weekday position (inverse of getTileGridPosition)
+  getDateForGridPosition(week, day) {
+    const days = week * 7 + day - 4;
+    return new Date(days * 86400000).toISOString().split('T')[0];
+  }
+
+  // Edit history: snapshot before an edit, record only the dates that changed
+  beginEdit(label) {
+    if (this.pendingEdit) return;
+    this.pendingEdit = {
+      label: label,
+      before: { ...this.contributions }
+    };
+  }
+
+  commitEdit() {
+    const edit = this.pendingEdit;
+    this.pendingEdit = null;
+
+    if (edit) {
+      const changes = {};
+      const dates = new Set([...Object.keys(edit.before), ...Object.keys(this.contributions)]);
+      dates.forEach(date => {
+        const before = this.compactContribution(edit.before[date]);
+        const after = this.compactContribution(this.contributions[date]);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          changes[date] = { before, after };
+        }
+      });
+
+      if (Object.keys(changes).length > 0) {
+        this.editHistory.undo.push({
+          label: edit.label,
+          timestamp: new Date().toISOString(),
+          changes: changes
+        });
+        this.editHistory.undo = this.editHistory.undo.slice(-this.maxHistorySteps);
+        this.editHistory.redo = [];
+      }
+    }
+
+    this.saveContributions();
+    this.renderToolbar();
+  }
+
+  // History entries only keep the level (and exact count) to stay small in storage
+  compactContribution(contribution) {
+    if (!contribution) return null;
+    return Number.isInteger(contribution.commitCount)
+      ? { level: contribution.level, commitCount: contribution.commitCount }
+      : { level: contribution.level };
+  }
+
+  expandContribution(date, compact) {
+    if (!compact || !compact.level) return null;
+    return {
+      ...this.contributionLevels[compact.level],
+      ...(Number.isInteger(compact.commitCount) ? { commitCount: compact.commitCount } : {}),
+      date: date
+    };
+  }
+
+  undo() {
+    const step = this.editHistory.undo.pop();
+    if (!step) return false;
+
+    this.applyHistoryStep(step, 'before');
+    this.editHistory.redo.push(step);
+    console.log(`Histofy: Undid "${step.label}" (${Object.keys(step.changes).length} tiles)`);
+    return true;
+  }
+
+  redo() {
+    const step = this.editHistory.redo.pop();
+    if (!step) return false;
+
+    this.applyHistoryStep(step, 'after');
+    this.editHistory.undo.push(step);
+    console.log(`Histofy: Redid "${step.label}" (${Object.keys(step.changes).length} tiles)`);
+    return true;
+  }
+
+  applyHistoryStep(step, side) {
+    Object.entries(step.changes).forEach(([date, change]) => {
+      const contribution = this.expandContribution(date, change[side]);
+      if (contribution) {
+        this.contributions[date] = contribution;
+      } else {
+        delete this.contributions[date];
+      }
+
+      const tile = document.querySelector(`[data-date="${date}"]`);
+      if (tile) {
+        this.updateTileAppearance(tile, date, contribution?.level || 0);
+      }
+    });
+
+    this.saveContributions();
+    this.renderToolbar();
+    this.renderCalibrationInfo();
+    // A "Clear all" that dropped a stored change restores or drops it again
+    this.syncPendingSelection(Boolean(step.clearedPendingChange));
+  }
+
+  // Keep the stored date_selection change for this user/year in step with the tiles, the same
+  // way "Store Changes" writes it. Selections that were never stored stay unstored unless forced
+  async syncPendingSelection(force = false) {
+    if (!window.histofyStorage || !this.username) return;
+
+    try {
+      const data = await window.histofyStorage.getData();
+      const isStored = (data.pendingChanges || []).some(change =>
+        change.type === 'date_selection' &&
+        change.username === this.username &&
+        change.year === this.currentYear
+      );
+      if (!isStored && !force) return;
+
+      if (Object.keys(this.contributions).length === 0) {
+        await this.clearPendingChangesForCurrentUser();
+      } else {
+        await this.forceStorePendingChanges();
+      }
+    } catch (error) {
+      console.error('Histofy: Failed to sync pending changes:', error);
+    }
+  }
+
+  // Level thresholds derived from the real contribution calendar
+  async loadCalibration() {
+    const api = window.histofyDeployButton?.githubAPI;
+    if (!this.calibrator || !api || !api.isAuthenticated()) {
+      this.renderCalibrationInfo();
+      return;
+    }
+
+    try {
+      // Deployed commits are authored by the token owner, so calibrate against their calendar
+      const calendar = await api.getContributionCalendar(api.user.login, this.currentYear);
+      this.existingCounts = calendar.days;
+      this.existingTotal = calendar.total;
+      this.calibrationUser = api.user.login;
+    } catch (error) {
+      console.warn('Histofy: Could not load contribution calendar for calibration:', error);
+      this.existingCounts = null;
+    }
+
+    this.renderCalibrationInfo();
+  }
+
+  renderCalibrationInfo() {
+    if (!this.isActive || !this.calibrator) return;
+
+    if (!this.calibrationPanel || !this.calibrationPanel.isConnected) {
+      this.calibrationPanel = document.createElement('div');
+      this.calibrationPanel.className = 'histofy-calibration-info';
+
+      const activateActions = this.toolbar?.isConnected ? this.toolbar : document.querySelector('.histofy-activate-actions');
+      const contributionGraph = this.findContributionGraph();
+      if (activateActions) {
+        activateActions.insertAdjacentElement('afterend', this.calibrationPanel);
+      } else if (contributionGraph) {
+        contributionGraph.parentNode.insertBefore(this.calibrationPanel, contributionGraph);
+      } else {
+        return;
+      }
+    }
+
+    this.updateProjection();
+
+    if (!this.existingCounts) {
+      this.calibrationPanel.innerHTML = `
+        <p><strong>📊 Level calibration:</strong> connect GitHub in the deploy panel to match levels to your real activity. Default commit ranges are used until then.</p>
+      `;
+      return;
+    }
+
+    const baseline = this.calibrator.computeThresholds(this.existingCounts);
+    const projectedStats = this.viewMode === 'projected' ? this.applyProjectedView() : null;
+
+    let projectionHtml = '';
+    if (this.projection) {
+      const calibration = this.projection;
+      const plannedCommits = Object.values(calibration.commitCounts).reduce((sum, count) => sum + count, 0);
+
+      projectionHtml = `
+        <p><strong>After deploy:</strong> ${this.calibrator.describeThresholds(calibration.thresholds)} &middot; ${plannedCommits} commits planned
+          &middot; ${this.existingTotal} &rarr; ${this.existingTotal + plannedCommits} contributions in ${this.currentYear}</p>
+        ${calibration.converged ? '' : `<p class="histofy-calibration-warning">⚠️ ${calibration.unreachable.length} selected day(s) cannot reach their shade with your existing activity</p>`}
+      `;
+    }
+
+    if (projectedStats) {
+      projectionHtml += `
+        <p><strong>Projected view:</strong> showing the graph as GitHub will shade it after deployment
+          &middot; ${projectedStats.lighter} untouched day(s) get lighter, ${projectedStats.darker} get darker</p>
+      `;
+    }
+
+    this.calibrationPanel.innerHTML = `
+      <p><strong>📊 Your ${this.currentYear} levels (${this.calibrationUser}):</strong> ${this.calibrator.describeThresholds(baseline)}
+        <span class="histofy-calibration-meta">(${baseline.activeDays} active days, busiest ${baseline.max})</span></p>
+      ${projectionHtml}
+      <div class="histofy-calibration-actions">
+        <button class="histofy-view-toggle" id="histofy-view-toggle">
+          ${this.viewMode === 'projected' ? '✏️ Back to edit view' : '👁️ Preview projected result'}
+        </button>
+      </div>
+    `;
+
+    this.calibrationPanel.querySelector('#histofy-view-toggle').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.setViewMode(this.viewMode === 'projected' ? 'edit' : 'projected');
+    });
+  }
+
+  // "edit" shows the chosen levels, "projected" shows how GitHub will re-bucket the whole year
+  setViewMode(mode) {
+    if (mode === this.viewMode) return;
+
+    if (mode === 'projected' && !this.existingCounts) {
+      console.warn('Histofy: Projected view needs the contribution calendar');
+      return;
+    }
+
+    this.viewMode = mode;
+    if (mode === 'edit') {
+      this.restoreEditView();
+    }
+    this.renderCalibrationInfo();
+  }
+
+  // Recolor every tile from existing + planned counts using the recomputed quartiles
+  applyProjectedView() {
+    const baseline = this.calibrator.computeThresholds(this.existingCounts);
+    const levelColors = this.getGitHubLevelColors();
+    const stats = { lighter: 0, darker: 0 };
+
+    document.querySelectorAll('[data-date]').forEach(tile => {
+      const date = tile.getAttribute('data-date');
+      if (!date) return;
+
+      const projected = this.getProjectedCount(date);
+      const color = levelColors[projected.level];
+
+      if (tile.hasAttribute('fill')) {
+        tile.setAttribute('fill', color);
+      } else {
+        tile.style.backgroundColor = color;
+      }
+      tile.setAttribute('data-histofy-projected', projected.level);
+
+      // Flag days the user didn't touch whose shade still changes
+      const currentLevel = this.calibrator.levelForCount(projected.existing, baseline);
+      if (projected.selectedLevel === 0 && projected.level !== currentLevel) {
+        tile.style.outline = '1px dashed var(--histofy-warning)';
+        stats[projected.level < currentLevel ? 'lighter' : 'darker']++;
+      } else {
+        tile.style.outline = '';
+      }
+    });
+
+    return stats;
+  }
+
+  restoreEditView() {
+    document.querySelectorAll('[data-histofy-projected]').forEach(tile => {
+      const date = tile.getAttribute('data-date');
+      tile.removeAttribute('data-histofy-projected');
+      tile.style.outline = '';
+
+      const level = this.contributions[date]?.level || 0;
+      this.updateTileAppearance(tile, date, level);
+    });
+  }
+
+  // Level colors from GitHub's own legend so the preview matches the current theme
+  getGitHubLevelColors() {
+    const fallback = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+
+    return fallback.map((color, level) => {
+      const legendDay = document.querySelector(`.ContributionCalendar-day[data-level="${level}"]:not([data-date])`);
+      if (!legendDay) return color;
+
+      const legendColor = legendDay.getAttribute('fill') || window.getComputedStyle(legendDay).backgroundColor;
+      return legendColor && legendColor !== 'rgba(0, 0, 0, 0)' ? legendColor : color;
+    });
+  }
+
+  // Calibrated plan for the current selections on top of the existing calendar
+  updateProjection() {
+    this.projection = null;
+    if (!this.calibrator || !this.existingCounts) return;
+
+    const targets = {};
+    const fixedCounts = {};
+    Object.entries(this.contributions).forEach(([date, contribution]) => {
+      targets[date] = contribution.level;
+      if (Number.isInteger(contribution.commitCount)) {
+        fixedCounts[date] = contribution.commitCount;
+      }
+    });
+
+    if (Object.keys(targets).length > 0) {
+      this.projection = this.calibrator.calibrate(this.existingCounts, targets, fixedCounts);
+    }
+  }
+
+  // Existing, planned and final count for a day (null where unknown)
+  getProjectedCount(date) {
+    const existing = this.existingCounts ? (this.existingCounts[date] || 0) : null;
+    const selectedLevel = this.contributions[date]?.level || 0;
+    const exactCount = this.contributions[date]?.commitCount;
+    let planned = selectedLevel === 0 ? 0 : (this.projection?.commitCounts[date] ?? null);
+    if (Number.isInteger(exactCount)) {
+      planned = exactCount;
+    }
+    const total = existing !== null && planned !== null ? existing + planned : null;
+
+    let level = selectedLevel;
+    if (total !== null) {
+      const thresholds = this.projection?.thresholds || this.calibrator.computeThresholds(this.existingCounts);
+      level = this.calibrator.levelForCount(total, thresholds);
+    }
+
+    return { date, existing, planned, total, level, selectedLevel };
+  }
+
+  getProjectedCounts() {
+    const dates = new Set([...Object.keys(this.existingCounts || {}), ...Object.keys(this.contributions)]);
+    const projected = {};
+    dates.forEach(date => {
+      projected[date] = this.getProjectedCount(date);
+    });
+    return projected;
+  }
+
+  showTileTooltip(tile, date) {
+    if (!this.tileTooltip) {
+      this.tileTooltip = document.createElement('div');
+      this.tileTooltip.className = 'histofy-tile-tooltip';
+      document.body.appendChild(this.tileTooltip);
+    }
+
+    const projected = this.getProjectedCount(date);
+    const selected = this.contributionLevels[projected.selectedLevel];
+    let text;
+
+    if (projected.existing === null) {
+      if (projected.planned !== null && projected.selectedLevel > 0) {
+        text = `${date}: ${projected.planned} commits planned (exact)`;
+      } else {
+        text = projected.selectedLevel > 0
+          ? `${date}: ${selected.name} (${selected.commits} commits planned)`
+          : `${date}: connect GitHub to see exact counts`;
+      }
+    } else if (projected.selectedLevel === 0) {
+      text = `${date}: ${projected.existing} contribution${projected.existing === 1 ? '' : 's'}`;
+    } else {
+      const result = this.contributionLevels[projected.level];
+      text = `${date}: ${projected.existing} existing + ${projected.planned} planned = ${projected.total} (${result.name})`;
+      if (Number.isInteger(this.contributions[date]?.commitCount)) {
+        text += ' - exact count';
+      } else if (projected.level !== projected.selectedLevel) {
+        text += ` - wanted ${selected.name}`;
+      }
+    }
+
+    const rect = tile.getBoundingClientRect();
+    this.tileTooltip.textContent = text;
+    this.tileTooltip.style.display = 'block';
+    this.tileTooltip.style.left = `${rect.left + rect.width / 2}px`;
+    this.tileTooltip.style.top = `${rect.top - 8}px`;
+  }
+
+  hideTileTooltip() {
+    if (this.tileTooltip) {
+      this.tileTooltip.style.display = 'none';
+    }
+  }
+
+  // Small popover for setting an exact number of commits on one day
+  showCommitCountPopover(tile, date) {
+    this.hideCommitCountPopover();
+    this.hideTileTooltip();
+
+    const currentCount = this.contributions[date]?.commitCount;
+    const popover = document.createElement('div');
+    popover.className = 'histofy-count-popover';
+    popover.innerHTML = `
+      <label for="histofy-count-input">Exact commits on ${date}</label>
+      <input type="number" id="histofy-count-input" min="0" max="100" step="1"
+             value="${Number.isInteger(currentCount) ? currentCount : ''}" placeholder="e.g. 7">
+      <div class="histofy-count-popover-actions">
+        <button type="button" id="histofy-count-clear">Use level</button>
+        <button type="button" id="histofy-count-save">Set</button>
+      </div>
+    `;
+
+    const rect = tile.getBoundingClientRect();
+    popover.style.left = `${rect.left + rect.width / 2}px`;
+    popover.style.top = `${rect.bottom + 8}px`;
+    document.body.appendChild(popover);
+    this.countPopover = popover;
+
+    const input = popover.querySelector('#histofy-count-input');
+    const save = () => {
+      const count = parseInt(input.value, 10);
+      this.setExactCommitCount(date, Number.isNaN(count) ? null : count);
+      this.hideCommitCountPopover();
+    };
+
+    popover.addEventListener('click', (e) => e.stopPropagation());
+    popover.querySelector('#histofy-count-save').addEventListener('click', save);
+    popover.querySelector('#histofy-count-clear').addEventListener('click', () => {
+      this.setExactCommitCount(date, null);
+      this.hideCommitCountPopover();
+    });
+
+    // Keep Enter/Escape from reaching the page-wide shortcuts
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        save();
+      } else if (e.key === 'Escape') {
+        this.hideCommitCountPopover();
+      }
+    });
+
+    // Close when clicking anywhere else
+    this.countPopoverOutsideHandler = (e) => {
+      if (!popover.contains(e.target)) {
+        this.hideCommitCountPopover();
+      }
+    };
+    setTimeout(() => {
+      document.addEventListener('mousedown', this.countPopoverOutsideHandler, true);
+    }, 0);
+
+    input.focus();
+  }
+
+  hideCommitCountPopover() {
+    if (this.countPopoverOutsideHandler) {
+      document.removeEventListener('mousedown', this.countPopoverOutsideHandler, true);
+      this.countPopoverOutsideHandler = null;
+    }
+    if (this.countPopover) {
+      this.countPopover.remove();
+      this.countPopover = null;
+    }
+  }
+
+  // Store an explicit commit count for a day (null returns the day to level-based counts)
+  setExactCommitCount(date, count) {
+    const tile = document.querySelector(`[data-date="${date}"]`);
+    const current = this.contributions[date];
+    this.beginEdit('Set exact count');
+
+    if (count === null) {
+      if (!current || !Number.isInteger(current.commitCount)) {
+        this.pendingEdit = null;
+        return;
+      }
+      this.contributions[date] = {
+        ...this.contributionLevels[current.level],
+        date: date
+      };
+    } else if (count <= 0) {
+      delete this.contributions[date];
+    } else {
+      const commitCount = Math.min(count, 100);
+      const level = this.levelForCommitCount(date, commitCount);
+      this.contributions[date] = {
+        ...this.contributionLevels[level],
+        commitCount: commitCount,
+        date: date
+      };
+    }
+
+    if (tile) {
+      this.updateTileAppearance(tile, date, this.contributions[date]?.level || 0);
+    }
+
+    this.commitEdit();
+    this.renderCalibrationInfo();
+    console.log(`Histofy: Set exact commit count for ${date}:`, this.contributions[date]?.commitCount ?? 'level-based');
+  }
+
+  // Level an exact count will most likely render at
+  levelForCommitCount(date, count) {
+    if (this.calibrator && this.existingCounts) {
+      const thresholds = this.calibrator.computeThresholds(this.existingCounts);
+      return Math.max(1, this.calibrator.levelForCount((this.existingCounts[date] || 0) + count, thresholds));
+    }
+
+    // Default commit ranges (1-3, 10-14, 20-24, 25+)
+    if (count <= 3) return 1;
+    if (count <= 14) return 2;
+    if (count <= 24) return 3;
+    return 4;
+  }
+
   // Data management
   clearAllSelections() {
     console.log('Histofy: Clearing all selections');
+    this.beginEdit('Clear all');
     
     // Reset all tiles to original colors
     Object.keys(this.contributions).forEach(date => {
@@ -459,22 +1403,32 @@ class ContributionGraphOverlay {
       }
     });
 
-    // Clear contributions
+    // Clear contributions (undoable)
+    const undoDepth = this.editHistory.undo.length;
     this.contributions = {};
-    this.saveContributions();
-
-    // Clear pending changes for this user/year and update deployment button
-    this.clearPendingChangesForCurrentUser();
+    this.commitEdit();
+    this.renderCalibrationInfo();
+    const step = this.editHistory.undo.length > undoDepth ? this.editHistory.undo[this.editHistory.undo.length - 1] : null;
+
+    // Clear pending changes for this user/year and update deployment button. The step remembers
+    // whether there was one, so undo only queues the selection again if it had been stored
+    this.clearPendingChangesForCurrentUser().then(removedCount => {
+      if (step && removedCount > 0) {
+        step.clearedPendingChange = true;
+        this.saveContributions();
+      }
+    });
 
     console.log('Histofy: All selections cleared');
   }
 
+  // Returns how many changes were removed
   async clearPendingChangesForCurrentUser() {
-    if (!window.histofyStorage) return;
+    if (!window.histofyStorage) return 0;
 
     try {
       const data = await window.histofyStorage.getData();
-      if (!data.pendingChanges) return;
+      if (!data.pendingChanges) return 0;
 
       // Remove all pending changes for current user/year
       const originalCount = data.pendingChanges.length;
@@ -497,8 +1451,10 @@ class ContributionGraphOverlay {
         }, 100);
       }
 
+      return removedCount;
     } catch (error) {
       console.error('Histofy: Failed to clear pending changes:', error);
+      return 0;
     }
   }
 
@@ -518,6 +1474,14 @@ class ContributionGraphOverlay {
       
       data.contributions[this.username][this.currentYear] = { ...this.contributions };
       
+      if (!data.editHistory) {
+        data.editHistory = {};
+      }
+      if (!data.editHistory[this.username]) {
+        data.editHistory[this.username] = {};
+      }
+      data.editHistory[this.username][this.currentYear] = this.editHistory;
+      
       await window.histofyStorage.saveData(data);
       console.log(`Histofy: Saved contributions for ${this.username} (${this.currentYear})`);
     } catch (error) {
@@ -540,6 +1504,8 @@ class ContributionGraphOverlay {
       const data = await window.histofyStorage.getData();
       console.log('Histofy: Storage data retrieved');
       
+      this.editHistory = data.editHistory?.[this.username]?.[this.currentYear] || { undo: [], redo: [] };
+      
       if (data.contributions?.[this.username]?.[this.currentYear]) {
         const savedContributions = data.contributions[this.username][this.currentYear];
         this.contributions = { ...savedContributions };
@@ -699,6 +1665,14 @@ class ContributionGraphOverlay {
           const commitsText = levelMatch[1];
           let level = 1; // Default to low
           
+          // Exact counts keep their number, everything else maps back to a level
+          const exactMatch = title.match(/\((\d+) commits, exact\)/);
+          if (exactMatch) {
+            const commitCount = parseInt(exactMatch[1], 10);
+            modifications.push({ date, level: this.levelForCommitCount(date, commitCount), commitsText, commitCount });
+            return;
+          }
+
           // Map commits text back to level
           if (commitsText === '0') level = 0;
           else if (commitsText.includes('1-3')) level = 1;
@@ -717,10 +1691,11 @@ class ContributionGraphOverlay {
 
   // Rebuild contributions object from visual modifications
   rebuildContributionsFromVisual(modifications) {
-    modifications.forEach(({ date, level }) => {
+    modifications.forEach(({ date, level, commitCount }) => {
       if (level > 0) {
         this.contributions[date] = {
           ...this.contributionLevels[level],
+          ...(Number.isInteger(commitCount) ? { commitCount } : {}),
           date: date
         };
       }
@@ -6,6 +6,10 @@ class DeployButton {
     this.githubAPI = null;
     this.githubDeployer = null;
     this.userRepositories = [];
+    this.planResolver = null;
+    this.movePreview = null;
+    this.timelineHistory = [];
+    this.timelinePreview = null;
     this.init();
   }
 
@@ -33,6 +37,9 @@ class DeployButton {
     // Initial update
     await this.updatePendingCount();
     
+    // Offer to continue a deployment interrupted by a reload or closed tab
+    await this.checkForResumableDeployment();
+    
     console.log('Histofy: Deploy button initialized successfully');
   }
 
@@ -229,6 +236,10 @@ class DeployButton {
             </div>
           </div>
           
+          <div class="histofy-resume-section" id="histofy-resume-section" style="display: none;">
+            <!-- Interrupted deployment will be shown here -->
+          </div>
+          
           <div class="histofy-repository-section">
             <h4>🎯 Deployment Target</h4>
             <div class="histofy-repo-options">
@@ -325,9 +336,122 @@ class DeployButton {
             </div>
           </div>
           
+          <details class="histofy-create-section" id="histofy-options-section">
+            <summary>⚙️ Deployment Options</summary>
+            <div class="histofy-create-form">
+              <div class="histofy-create-row">
+                <label>Commit content
+                  <select id="histofy-commit-content-mode" class="histofy-input">
+                    <option value="unique">Unique content per commit</option>
+                    <option value="minimal">Minimal API usage</option>
+                  </select>
+                </label>
+                <label>Backend
+                  <select id="histofy-deployment-backend" class="histofy-input">
+                    <option value="git_data">Git data API</option>
+                    <option value="graphql">GraphQL createCommitOnBranch</option>
+                  </select>
+                </label>
+              </div>
+              <div class="histofy-create-summary" id="histofy-options-summary"></div>
+            </div>
+          </details>
+          
+          <details class="histofy-create-section" id="histofy-generate-section">
+            <summary>🎲 Generate Commits</summary>
+            <div class="histofy-create-form">
+              <div class="histofy-create-row">
+                <label>From <input type="date" id="histofy-generate-start" class="histofy-input"></label>
+                <label>To <input type="date" id="histofy-generate-end" class="histofy-input"></label>
+              </div>
+              <div class="histofy-create-row">
+                <label>Pattern <select id="histofy-generate-pattern" class="histofy-input"></select></label>
+                <label>Intensity
+                  <select id="histofy-generate-intensity" class="histofy-input">
+                    <option value="1">Low (1-3)</option>
+                    <option value="2" selected>Medium (10-14)</option>
+                    <option value="3">High (20-24)</option>
+                    <option value="4">Very High (25+)</option>
+                  </select>
+                </label>
+              </div>
+              <div class="histofy-create-summary" id="histofy-generate-summary"></div>
+              <button class="histofy-btn histofy-btn-secondary" id="histofy-generate-add">➕ Add to Pending Changes</button>
+            </div>
+          </details>
+          
+          <details class="histofy-create-section" id="histofy-intensity-section">
+            <summary>🎨 Intensity Pattern</summary>
+            <div class="histofy-create-form">
+              <div class="histofy-create-row">
+                <label>From <input type="date" id="histofy-intensity-start" class="histofy-input"></label>
+                <label>To <input type="date" id="histofy-intensity-end" class="histofy-input"></label>
+              </div>
+              <div class="histofy-create-row histofy-rhythm-row" id="histofy-intensity-rhythm"></div>
+              <div class="histofy-create-summary" id="histofy-intensity-summary"></div>
+              <button class="histofy-btn histofy-btn-secondary" id="histofy-intensity-add">➕ Add to Pending Changes</button>
+            </div>
+          </details>
+          
+          <details class="histofy-create-section" id="histofy-move-section">
+            <summary>🔄 Move Commits</summary>
+            <div class="histofy-create-form">
+              <div class="histofy-create-row">
+                <label>Repository <input type="text" id="histofy-move-repo" class="histofy-input" placeholder="owner/repo" list="histofy-move-repo-list"></label>
+                <label>Branch <input type="text" id="histofy-move-branch" class="histofy-input" placeholder="default branch"></label>
+              </div>
+              <datalist id="histofy-move-repo-list"></datalist>
+              <div class="histofy-create-row">
+                <label>Source dates <input type="text" id="histofy-move-sources" class="histofy-input" placeholder="2024-03-01, 2024-03-02"></label>
+                <label>Target date <input type="date" id="histofy-move-target" class="histofy-input"></label>
+              </div>
+              <div class="histofy-create-summary" id="histofy-move-preview"></div>
+              <div class="histofy-create-actions">
+                <button class="histofy-btn histofy-btn-secondary" id="histofy-move-find">🔍 Preview Rewrite</button>
+                <button class="histofy-btn histofy-btn-secondary" id="histofy-move-add" disabled>➕ Add to Pending Changes</button>
+              </div>
+            </div>
+          </details>
+          
+          <details class="histofy-create-section" id="histofy-timeline-section">
+            <summary>⏰ Timeline Move</summary>
+            <div class="histofy-create-form">
+              <div class="histofy-create-row">
+                <label>Repository <input type="text" id="histofy-timeline-repo" class="histofy-input" placeholder="owner/repo" list="histofy-move-repo-list"></label>
+                <label>Branch <input type="text" id="histofy-timeline-branch" class="histofy-input" placeholder="default branch"></label>
+              </div>
+              <div class="histofy-create-actions">
+                <button class="histofy-btn histofy-btn-secondary" id="histofy-timeline-load">📜 Load Commits</button>
+              </div>
+              <div class="histofy-create-row">
+                <label>Oldest commit <select id="histofy-timeline-from" class="histofy-input" disabled></select></label>
+                <label>Newest commit <select id="histofy-timeline-to" class="histofy-input" disabled></select></label>
+              </div>
+              <div class="histofy-create-row">
+                <label>New start <input type="date" id="histofy-timeline-start" class="histofy-input"></label>
+                <label>New end <input type="date" id="histofy-timeline-end" class="histofy-input"></label>
+                <label>Spacing
+                  <select id="histofy-timeline-distribution" class="histofy-input">
+                    <option value="even">Evenly spaced</option>
+                    <option value="working_hours">Working hours (Mon-Fri 9-17 UTC)</option>
+                    <option value="preserve_gaps">Preserve relative gaps</option>
+                  </select>
+                </label>
+              </div>
+              <div class="histofy-create-summary" id="histofy-timeline-preview"></div>
+              <div class="histofy-create-actions">
+                <button class="histofy-btn histofy-btn-secondary" id="histofy-timeline-preview-btn">🔍 Preview Rewrite</button>
+                <button class="histofy-btn histofy-btn-secondary" id="histofy-timeline-add" disabled>➕ Add to Pending Changes</button>
+              </div>
+            </div>
+          </details>
+          
           <div class="histofy-changes-list" id="histofy-changes-list">
             <!-- Changes will be populated here -->
           </div>
+          <div class="histofy-deploy-plan" id="histofy-deploy-plan" style="display: none;">
+            <!-- Dry-run plan will be shown here -->
+          </div>
           <div class="histofy-deploy-actions">
             <button class="histofy-btn histofy-btn-danger" id="histofy-clear-all">🗑️ Clear All</button>
             <button class="histofy-btn histofy-btn-primary" id="histofy-start-deploy">🚀 Start Deployment</button>
@@ -335,6 +459,24 @@ class DeployButton {
           <div class="histofy-deploy-status" id="histofy-deploy-status" style="display: none;">
             <!-- Deployment status will be shown here -->
           </div>
+          <div class="histofy-deployments-section" id="histofy-deployments-section" style="display: none;">
+            <!-- Recent deployments will be shown here -->
+          </div>
+          <div class="histofy-history-section" id="histofy-history-section">
+            <h4>📜 Deployment History</h4>
+            <div class="histofy-history-filters">
+              <select id="histofy-history-status" class="histofy-input">
+                <option value="all">All runs</option>
+                <option value="completed">Completed</option>
+                <option value="partial">Partial</option>
+                <option value="failed">Failed</option>
+              </select>
+              <input type="text" id="histofy-history-repo" class="histofy-input" placeholder="Filter by repository">
+            </div>
+            <div class="histofy-history-list" id="histofy-history-list">
+              <!-- Deployment runs will be shown here -->
+            </div>
+          </div>
         </div>
       </div>
     `;
@@ -383,6 +525,20 @@ class DeployButton {
       this.startDeployment();
     });
 
+    this.setupDeploymentOptions(deployButton);
+    this.setupGenerateCommitsForm(deployButton);
+    this.setupIntensityPatternForm(deployButton);
+    this.setupMoveCommitsForm(deployButton);
+    this.setupTimelineMoveForm(deployButton);
+
+    deployButton.querySelector('#histofy-history-status').addEventListener('change', () => {
+      this.populateDeploymentHistory();
+    });
+
+    deployButton.querySelector('#histofy-history-repo').addEventListener('input', () => {
+      this.populateDeploymentHistory();
+    });
+
     // Close panel when clicking outside
     document.addEventListener('click', (e) => {
       if (!deployButton.contains(e.target)) {
@@ -435,6 +591,552 @@ class DeployButton {
     this.handleRepositoryOptionChange();
   }
 
+  // Form that queues a generate_commits change for a date range and day pattern
+  setupGenerateCommitsForm(deployButton) {
+    const startInput = deployButton.querySelector('#histofy-generate-start');
+    const endInput = deployButton.querySelector('#histofy-generate-end');
+
+    // Default to the last 30 days
+    const today = new Date();
+    endInput.value = today.toISOString().split('T')[0];
+    startInput.value = new Date(today.getTime() - 29 * 86400000).toISOString().split('T')[0];
+
+    ['#histofy-generate-start', '#histofy-generate-end', '#histofy-generate-pattern', '#histofy-generate-intensity'].forEach(selector => {
+      deployButton.querySelector(selector).addEventListener('change', () => this.updateGenerateCommitsSummary());
+    });
+
+    deployButton.querySelector('#histofy-generate-add').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.addGenerateCommitsChange();
+    });
+
+    this.populateGeneratePatterns();
+  }
+
+  // The deployer owns the pattern list and is created after the panel, so fill it lazily
+  populateGeneratePatterns() {
+    const patternSelect = document.querySelector('#histofy-generate-pattern');
+    if (!patternSelect || !this.githubDeployer) return;
+
+    if (patternSelect.options.length === 0) {
+      patternSelect.innerHTML = Object.entries(this.githubDeployer.generationPatterns)
+        .map(([key, pattern]) => `<option value="${key}">${pattern.name}</option>`)
+        .join('');
+    }
+    this.updateGenerateCommitsSummary();
+  }
+
+  getGenerateCommitsChange() {
+    return {
+      type: 'generate_commits',
+      startDate: document.querySelector('#histofy-generate-start')?.value,
+      endDate: document.querySelector('#histofy-generate-end')?.value,
+      pattern: document.querySelector('#histofy-generate-pattern')?.value,
+      intensity: parseInt(document.querySelector('#histofy-generate-intensity')?.value, 10) || 2
+    };
+  }
+
+  updateGenerateCommitsSummary() {
+    const summary = document.querySelector('#histofy-generate-summary');
+    if (!summary || !this.githubDeployer) return;
+
+    const change = this.getGenerateCommitsChange();
+    if (!change.startDate || !change.endDate || change.startDate > change.endDate) {
+      summary.textContent = 'Choose a start date on or before the end date';
+      return;
+    }
+
+    const selection = this.githubDeployer.getDateSelection(change);
+    summary.textContent = `${selection.dates.length} days will get commits`;
+  }
+
+  async addGenerateCommitsChange() {
+    const change = this.getGenerateCommitsChange();
+
+    if (!change.startDate || !change.endDate || change.startDate > change.endDate) {
+      this.showNotification('Choose a valid date range', 'error');
+      return;
+    }
+
+    if (!this.githubDeployer?.generationPatterns?.[change.pattern]) {
+      this.showNotification('Choose a pattern', 'error');
+      return;
+    }
+
+    if (this.githubDeployer.getDateSelection(change).dates.length === 0) {
+      this.showNotification('The pattern does not match any day in this range', 'warning');
+      return;
+    }
+
+    try {
+      const changeId = await window.histofyStorage.addPendingChange({
+        ...change,
+        username: this.githubAPI?.user?.login || null,
+        timestamp: new Date().toISOString()
+      });
+      if (!changeId) {
+        this.showNotification('An identical generate commits change is already pending', 'warning');
+        return;
+      }
+      await this.populateChangesList();
+      this.showNotification('Generate commits change added', 'success');
+    } catch (error) {
+      this.showNotification(`Failed to add change: ${error.message}`, 'error');
+    }
+  }
+
+  // Deployment Options section: commit content mode and backend, remembered in the user settings
+  async setupDeploymentOptions(deployButton) {
+    // Each select is stored under the setting of the same name
+    const selects = {
+      commitContentMode: deployButton.querySelector('#histofy-commit-content-mode'),
+      deploymentBackend: deployButton.querySelector('#histofy-deployment-backend')
+    };
+
+    Object.entries(selects).forEach(([setting, select]) => {
+      select.addEventListener('change', () => {
+        this.updateDeploymentOptionsSummary();
+        if (window.histofyStorage) {
+          window.histofyStorage.updateUserSettings({ [setting]: select.value });
+        }
+      });
+    });
+
+    const settings = window.histofyStorage ? await window.histofyStorage.getUserSettings() : {};
+    Object.entries(selects).forEach(([setting, select]) => {
+      if (settings[setting]) {
+        select.value = settings[setting];
+      }
+    });
+    this.updateDeploymentOptionsSummary();
+  }
+
+  updateDeploymentOptionsSummary() {
+    const summary = document.querySelector('#histofy-options-summary');
+    if (!summary) return;
+
+    const settings = this.getDeploymentSettings();
+    const lines = [settings.commitContentMode === 'minimal'
+      ? 'About 1 API call per commit: commits rotate through a few shared trees created once per repository'
+      : 'About 3 API calls per commit: every commit gets its own file content'];
+
+    if (settings.deploymentBackend === 'graphql') {
+      lines.push('createCommitOnBranch makes one call per commit but always dates commits now, so it is only used when every date is today and the branch exists; otherwise the git data API takes over');
+    }
+    summary.innerHTML = lines.map(line => escapeHtml(line)).join('<br>');
+  }
+
+  // Options from the Deployment Options section, passed to every deployment
+  getDeploymentSettings() {
+    return {
+      commitContentMode: document.querySelector('#histofy-commit-content-mode')?.value || 'unique',
+      deploymentBackend: document.querySelector('#histofy-deployment-backend')?.value || 'git_data'
+    };
+  }
+
+  // Form that queues an intensity_pattern change: one level per weekday, repeated across a range
+  setupIntensityPatternForm(deployButton) {
+    const startInput = deployButton.querySelector('#histofy-intensity-start');
+    const endInput = deployButton.querySelector('#histofy-intensity-end');
+
+    // Default to the last 90 days
+    const today = new Date();
+    endInput.value = today.toISOString().split('T')[0];
+    startInput.value = new Date(today.getTime() - 89 * 86400000).toISOString().split('T')[0];
+
+    // Shown Monday first, stored Sunday first; defaults to Mon-Fri medium, Sat low, Sun none
+    const days = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+    const defaults = '0222221';
+    const levelNames = ['None', 'Low', 'Med', 'High', 'Max'];
+    deployButton.querySelector('#histofy-intensity-rhythm').innerHTML = days.map(([day, name]) => `
+      <label>${name}
+        <select class="histofy-input histofy-intensity-day" data-day="${day}">
+          ${levelNames.map((levelName, level) => `<option value="${level}" ${String(level) === defaults[day] ? 'selected' : ''}>${levelName}</option>`).join('')}
+        </select>
+      </label>
+    `).join('');
+
+    deployButton.querySelectorAll('#histofy-intensity-start, #histofy-intensity-end, .histofy-intensity-day').forEach(input => {
+      input.addEventListener('change', () => this.updateIntensityPatternSummary());
+    });
+
+    deployButton.querySelector('#histofy-intensity-add').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.addIntensityPatternChange();
+    });
+  }
+
+  getIntensityPatternChange() {
+    const rhythm = ['0', '0', '0', '0', '0', '0', '0'];
+    document.querySelectorAll('.histofy-intensity-day').forEach(select => {
+      rhythm[parseInt(select.getAttribute('data-day'), 10)] = select.value;
+    });
+
+    const change = {
+      type: 'intensity_pattern',
+      startDate: document.querySelector('#histofy-intensity-start')?.value,
+      endDate: document.querySelector('#histofy-intensity-end')?.value,
+      intensity: rhythm.join(''),
+      commits: 0
+    };
+
+    // commits: number of days the rhythm puts commits on
+    if (this.githubDeployer && change.startDate && change.endDate && change.startDate <= change.endDate) {
+      change.commits = this.githubDeployer.getDateSelection(change).dates.length;
+    }
+
+    return change;
+  }
+
+  updateIntensityPatternSummary() {
+    const summary = document.querySelector('#histofy-intensity-summary');
+    if (!summary || !this.githubDeployer) return;
+
+    const change = this.getIntensityPatternChange();
+    if (!change.startDate || !change.endDate || change.startDate > change.endDate) {
+      summary.textContent = 'Choose a start date on or before the end date';
+      return;
+    }
+
+    summary.textContent = `${change.commits} days will get commits`;
+  }
+
+  async addIntensityPatternChange() {
+    const change = this.getIntensityPatternChange();
+
+    if (!change.startDate || !change.endDate || change.startDate > change.endDate) {
+      this.showNotification('Choose a valid date range', 'error');
+      return;
+    }
+
+    if (change.commits === 0) {
+      this.showNotification('The rhythm does not put commits on any day in this range', 'warning');
+      return;
+    }
+
+    try {
+      const changeId = await window.histofyStorage.addPendingChange({
+        ...change,
+        username: this.githubAPI?.user?.login || null,
+        timestamp: new Date().toISOString()
+      });
+      if (!changeId) {
+        this.showNotification('An identical intensity pattern is already pending', 'warning');
+        return;
+      }
+      await this.populateChangesList();
+      this.showNotification('Intensity pattern added', 'success');
+    } catch (error) {
+      this.showNotification(`Failed to add change: ${error.message}`, 'error');
+    }
+  }
+
+  // Form that previews and queues a move_commits history rewrite
+  setupMoveCommitsForm(deployButton) {
+    deployButton.querySelector('#histofy-move-find').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.previewMoveCommits();
+    });
+
+    deployButton.querySelector('#histofy-move-add').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.addMoveCommitsChange();
+    });
+
+    // Any edit invalidates the preview
+    ['#histofy-move-repo', '#histofy-move-branch', '#histofy-move-sources', '#histofy-move-target'].forEach(selector => {
+      deployButton.querySelector(selector).addEventListener('input', () => {
+        this.movePreview = null;
+        deployButton.querySelector('#histofy-move-add').disabled = true;
+      });
+    });
+  }
+
+  getMoveCommitsChange() {
+    const sourceDates = (document.querySelector('#histofy-move-sources')?.value || '')
+      .split(/[\s,]+/)
+      .map(date => date.trim())
+      .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
+      .sort();
+
+    return {
+      type: 'move_commits',
+      repository: document.querySelector('#histofy-move-repo')?.value.trim(),
+      branch: document.querySelector('#histofy-move-branch')?.value.trim() || null,
+      sourceDates: [...new Set(sourceDates)],
+      targetDate: document.querySelector('#histofy-move-target')?.value
+    };
+  }
+
+  async previewMoveCommits(selectedShas = null) {
+    const previewDiv = document.querySelector('#histofy-move-preview');
+    const addButton = document.querySelector('#histofy-move-add');
+    if (!previewDiv || !addButton) return;
+
+    const change = this.getMoveCommitsChange();
+    if (!/^[^/\s]+\/[^/\s]+$/.test(change.repository || '')) {
+      previewDiv.textContent = 'Enter a repository as owner/repo';
+      return;
+    }
+    if (change.sourceDates.length === 0 || !change.targetDate) {
+      previewDiv.textContent = 'Enter at least one source date (YYYY-MM-DD) and a target date';
+      return;
+    }
+    if (!this.githubDeployer || !this.githubAPI?.isAuthenticated()) {
+      previewDiv.textContent = 'Authenticate with GitHub first';
+      return;
+    }
+
+    if (selectedShas) {
+      change.commits = selectedShas.map(sha => ({ sha }));
+    }
+
+    previewDiv.textContent = 'Loading commits...';
+    addButton.disabled = true;
+
+    try {
+      const plan = await this.githubDeployer.planHistoryRewrite(change);
+      this.movePreview = { change, plan };
+      previewDiv.innerHTML = this.renderRewritePreview(plan, true);
+      addButton.disabled = false;
+
+      previewDiv.querySelectorAll('.histofy-rewrite-select').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+          const selected = Array.from(previewDiv.querySelectorAll('.histofy-rewrite-select:checked'))
+            .map(input => input.getAttribute('data-sha'));
+          if (selected.length === 0) {
+            checkbox.checked = true;
+            return;
+          }
+          this.previewMoveCommits(selected);
+        });
+      });
+    } catch (error) {
+      this.movePreview = null;
+      previewDiv.innerHTML = `<span class="histofy-rewrite-error">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+  }
+
+  // Table of a rewrite plan: re-dated commits and the descendants that only get new SHAs
+  renderRewritePreview(plan, selectable = false) {
+    const rowsHtml = plan.commits.map(commit => `
+      <tr class="${commit.redated ? 'histofy-rewrite-redated' : 'histofy-rewrite-descendant'}">
+        <td>${selectable && commit.redated ? `<input type="checkbox" class="histofy-rewrite-select" data-sha="${commit.sha}" checked>` : ''}</td>
+        <td><code>${commit.sha.substring(0, 7)}</code></td>
+        <td>${escapeHtml(commit.message)}</td>
+        <td>${commit.redated
+          ? `${this.formatRewriteTimestamp(commit.authorDate)} &rarr; <strong>${this.formatRewriteTimestamp(commit.newAuthorDate)}</strong>`
+          : 'new SHA only'}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <p><strong>${escapeHtml(plan.repository)}@${escapeHtml(plan.branch)}</strong>: ${plan.redatedCount} re-dated, ${plan.descendantCount} descendant commit(s) get new SHAs</p>
+      ${plan.warnings.map(warning => `<p class="histofy-rewrite-error">⚠️ ${escapeHtml(warning)}</p>`).join('')}
+      <div class="histofy-rewrite-table-wrapper">
+        <table class="histofy-rewrite-table">${rowsHtml}</table>
+      </div>
+    `;
+  }
+
+  formatRewriteTimestamp(isoDate) {
+    return isoDate ? isoDate.replace('T', ' ').substring(0, 16) : 'unknown';
+  }
+
+  async addMoveCommitsChange() {
+    if (!this.movePreview) {
+      this.showNotification('Preview the rewrite first', 'warning');
+      return;
+    }
+
+    const { change, plan } = this.movePreview;
+    const commits = plan.commits
+      .filter(commit => commit.redated)
+      .map(commit => ({ sha: commit.sha, message: commit.message, date: commit.authorDate }));
+
+    try {
+      const changeId = await window.histofyStorage.addPendingChange({
+        ...change,
+        branch: plan.branch,
+        commits: commits,
+        timestamp: new Date().toISOString()
+      });
+      if (!changeId) {
+        this.showNotification('These commits are already queued to move to this date', 'warning');
+        return;
+      }
+      this.movePreview = null;
+      document.querySelector('#histofy-move-add').disabled = true;
+      await this.populateChangesList();
+      this.showNotification(`Queued ${commits.length} commit(s) to move to ${change.targetDate}`, 'success');
+    } catch (error) {
+      this.showNotification(`Failed to add change: ${error.message}`, 'error');
+    }
+  }
+
+  // Form that spreads a contiguous commit range across a new timeline (move_commits_timeline)
+  setupTimelineMoveForm(deployButton) {
+    const bind = (selector, handler) => {
+      deployButton.querySelector(selector).addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler();
+      });
+    };
+    bind('#histofy-timeline-load', () => this.loadTimelineCommits());
+    bind('#histofy-timeline-preview-btn', () => this.previewTimelineMove());
+    bind('#histofy-timeline-add', () => this.addTimelineMoveChange());
+
+    // A different repository or branch needs its history loaded again
+    ['#histofy-timeline-repo', '#histofy-timeline-branch'].forEach(selector => {
+      deployButton.querySelector(selector).addEventListener('input', () => {
+        this.timelineHistory = [];
+        this.renderTimelineCommitOptions();
+      });
+    });
+
+    // Any edit invalidates the preview
+    ['#histofy-timeline-from', '#histofy-timeline-to', '#histofy-timeline-start', '#histofy-timeline-end', '#histofy-timeline-distribution'].forEach(selector => {
+      deployButton.querySelector(selector).addEventListener('change', () => {
+        this.timelinePreview = null;
+        deployButton.querySelector('#histofy-timeline-add').disabled = true;
+      });
+    });
+  }
+
+  async loadTimelineCommits() {
+    const previewDiv = document.querySelector('#histofy-timeline-preview');
+    const repository = document.querySelector('#histofy-timeline-repo')?.value.trim() || '';
+    if (!/^[^/\s]+\/[^/\s]+$/.test(repository)) {
+      previewDiv.textContent = 'Enter a repository as owner/repo';
+      return;
+    }
+    if (!this.githubDeployer?.gitOperations || !this.githubAPI?.isAuthenticated()) {
+      previewDiv.textContent = 'Authenticate with GitHub first';
+      return;
+    }
+
+    const [owner, repo] = repository.split('/');
+    previewDiv.textContent = 'Loading branch history...';
+
+    try {
+      const branchInput = document.querySelector('#histofy-timeline-branch');
+      const branch = branchInput.value.trim() || await this.githubDeployer.getMainBranch(owner, repo);
+      branchInput.value = branch;
+      this.timelineHistory = await this.githubDeployer.gitOperations.getBranchHistory(owner, repo, branch);
+      this.renderTimelineCommitOptions();
+      previewDiv.textContent = `Loaded the last ${this.timelineHistory.length} commits of ${repository}@${branch}`;
+    } catch (error) {
+      this.timelineHistory = [];
+      this.renderTimelineCommitOptions();
+      previewDiv.innerHTML = `<span class="histofy-rewrite-error">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+  }
+
+  // Fill both range selects from the loaded history (newest first)
+  renderTimelineCommitOptions() {
+    const fromSelect = document.querySelector('#histofy-timeline-from');
+    const toSelect = document.querySelector('#histofy-timeline-to');
+    if (!fromSelect || !toSelect) return;
+
+    const options = this.timelineHistory.map(commit => `
+      <option value="${commit.sha}">${commit.sha.substring(0, 7)} ${(commit.authorDate || '').split('T')[0]} ${escapeHtml(commit.message.substring(0, 50))}</option>
+    `).join('');
+
+    fromSelect.innerHTML = options;
+    toSelect.innerHTML = options;
+    fromSelect.disabled = this.timelineHistory.length === 0;
+    toSelect.disabled = this.timelineHistory.length === 0;
+    if (this.timelineHistory.length > 0) {
+      fromSelect.selectedIndex = Math.min(this.timelineHistory.length - 1, 9);
+      toSelect.selectedIndex = 0;
+    }
+
+    this.timelinePreview = null;
+    document.querySelector('#histofy-timeline-add').disabled = true;
+  }
+
+  getTimelineMoveChange() {
+    const fromIndex = this.timelineHistory.findIndex(commit => commit.sha === document.querySelector('#histofy-timeline-from')?.value);
+    const toIndex = this.timelineHistory.findIndex(commit => commit.sha === document.querySelector('#histofy-timeline-to')?.value);
+    // The history is newest first; the change stores the range oldest first
+    const range = fromIndex < 0 || toIndex < 0
+      ? []
+      : this.timelineHistory.slice(Math.min(fromIndex, toIndex), Math.max(fromIndex, toIndex) + 1).reverse();
+
+    return {
+      type: 'move_commits_timeline',
+      repository: document.querySelector('#histofy-timeline-repo')?.value.trim(),
+      branch: document.querySelector('#histofy-timeline-branch')?.value.trim() || null,
+      commits: range.map(commit => ({ sha: commit.sha, message: commit.message, date: commit.authorDate })),
+      targetDate: document.querySelector('#histofy-timeline-start')?.value,
+      endDate: document.querySelector('#histofy-timeline-end')?.value,
+      distribution: document.querySelector('#histofy-timeline-distribution')?.value || 'even',
+      // Latest time a commit may get when the timeline ends today; stored with the queued change
+      clampTime: new Date().toISOString()
+    };
+  }
+
+  async previewTimelineMove() {
+    const previewDiv = document.querySelector('#histofy-timeline-preview');
+    const addButton = document.querySelector('#histofy-timeline-add');
+    if (!previewDiv || !addButton) return;
+
+    const change = this.getTimelineMoveChange();
+    if (change.commits.length === 0) {
+      previewDiv.textContent = 'Load the branch history and pick a commit range first';
+      return;
+    }
+    if (!change.targetDate || !change.endDate) {
+      previewDiv.textContent = 'Enter the start and end of the new timeline';
+      return;
+    }
+
+    previewDiv.textContent = 'Planning rewrite...';
+    addButton.disabled = true;
+
+    try {
+      const plan = await this.githubDeployer.planHistoryRewrite(change);
+      this.timelinePreview = { change, plan };
+      previewDiv.innerHTML = this.renderRewritePreview(plan);
+      addButton.disabled = false;
+    } catch (error) {
+      this.timelinePreview = null;
+      previewDiv.innerHTML = `<span class="histofy-rewrite-error">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+  }
+
+  async addTimelineMoveChange() {
+    if (!this.timelinePreview) {
+      this.showNotification('Preview the rewrite first', 'warning');
+      return;
+    }
+
+    const { change, plan } = this.timelinePreview;
+
+    try {
+      const changeId = await window.histofyStorage.addPendingChange({
+        ...change,
+        branch: plan.branch,
+        timestamp: new Date().toISOString()
+      });
+      if (!changeId) {
+        this.showNotification('These commits are already queued for this timeline', 'warning');
+        return;
+      }
+      this.timelinePreview = null;
+      document.querySelector('#histofy-timeline-add').disabled = true;
+      await this.populateChangesList();
+      this.showNotification(`Queued ${change.commits.length} commit(s) to spread from ${change.targetDate} to ${change.endDate}`, 'success');
+    } catch (error) {
+      this.showNotification(`Failed to add change: ${error.message}`, 'error');
+    }
+  }
+
   togglePanel() {
     const panel = document.querySelector('#histofy-deploy-panel');
     if (!panel) {
@@ -462,6 +1164,11 @@ class DeployButton {
     // Force refresh of pending changes before showing panel
     await this.updatePendingCount();
     await this.populateChangesList();
+    await this.checkForResumableDeployment();
+    await this.populateDeploymentRecords();
+    await this.populateDeploymentHistory();
+    this.populateGeneratePatterns();
+    this.updateIntensityPatternSummary();
     
     // Load repositories if authenticated and existing repo option might be selected
     if (this.githubAPI && this.githubAPI.isAuthenticated()) {
@@ -472,6 +1179,46 @@ class DeployButton {
     this.updateAuthenticationUI();
   }
 
+  // Open the panel aimed at one repository: as the deployment target ('deploy'),
+  // or prefilled in the move commits ('move') or timeline move ('timeline') form
+  async openForRepository(repository, { branch = null, section = 'deploy' } = {}) {
+    await this.showPanel();
+
+    if (section === 'deploy') {
+      const existingRadio = document.querySelector('input[name="histofy-repo-choice"][value="existing"]');
+      const repoSelect = document.querySelector('#histofy-repo-select');
+      if (!existingRadio || !repoSelect) return;
+
+      existingRadio.checked = true;
+      await this.handleRepositoryOptionChange();
+
+      if (!this.userRepositories.some(repo => repo.full_name === repository)) {
+        this.showNotification(`You don't have push access to ${repository}`, 'warning');
+        return;
+      }
+      repoSelect.value = repository;
+      repoSelect.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+
+    const prefix = section === 'timeline' ? 'histofy-timeline' : 'histofy-move';
+    const details = document.querySelector(`#${prefix}-section`);
+    if (!details) return;
+
+    details.open = true;
+    const repoInput = details.querySelector(`#${prefix}-repo`);
+    const branchInput = details.querySelector(`#${prefix}-branch`);
+    repoInput.value = repository;
+    branchInput.value = branch || '';
+    // Let the form drop any preview of a different repository
+    repoInput.dispatchEvent(new Event('input'));
+    details.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (section === 'timeline') {
+      await this.loadTimelineCommits();
+    }
+  }
+
   hidePanel() {
     const panel = document.querySelector('#histofy-deploy-panel');
     if (panel) {
@@ -561,11 +1308,10 @@ class DeployButton {
       repoSelect.innerHTML = '<option value="">Loading repositories...</option>';
       repoSelect.disabled = true;
 
-      // Load user repositories
+      // Load every page of the user's repositories
       const repositories = await this.githubAPI.getUserRepositories({
         type: 'owner',
-        sort: 'updated',
-        per_page: 100
+        sort: 'updated'
       });
 
       // Filter repositories that user can push to
@@ -618,6 +1364,14 @@ class DeployButton {
     }
 
     repoSelect.innerHTML = optionsHtml;
+
+    // Suggestions for the move commits form
+    const moveRepoList = document.querySelector('#histofy-move-repo-list');
+    if (moveRepoList) {
+      moveRepoList.innerHTML = this.userRepositories
+        .map(repo => `<option value="${repo.full_name}"></option>`)
+        .join('');
+    }
   }
 
   async handleRepositoryOptionChange() {
@@ -969,6 +1723,46 @@ class DeployButton {
       }
     }
 
+    // Starting over replaces the journal of an interrupted deployment
+    const existingCheckpoint = await this.githubDeployer.loadCheckpoint();
+    if (existingCheckpoint && !confirm(`An interrupted deployment to ${existingCheckpoint.targetRepository} can still be resumed. Start a new deployment and discard it?`)) {
+      return;
+    }
+
+    // Parse repository info
+    const [owner, repoName] = targetRepository.split('/');
+    
+    // Prepare final deployment options
+    const finalDeploymentOptions = {
+      targetRepository: targetRepository,
+      repositoryOwner: owner,
+      repositoryName: repoName,
+      ...this.getDeploymentSettings(),
+      ...deploymentOptions
+    };
+
+    // Dry run first - nothing is written until the plan is confirmed
+    let deploymentPlan;
+    try {
+      this.updateDeployButtonUI(true, '⏳ Planning...');
+      deploymentPlan = await this.githubDeployer.deployDateSelections(this.pendingChanges, {
+        ...finalDeploymentOptions,
+        dryRun: true
+      });
+    } catch (error) {
+      console.error('Histofy: Failed to build deployment plan:', error);
+      this.showNotification(`Failed to build deployment plan: ${error.message}`, 'error');
+      return;
+    } finally {
+      this.updateDeployButtonUI(false);
+    }
+
+    const confirmed = await this.showDeploymentPlan(deploymentPlan);
+    if (!confirmed) {
+      this.showNotification('Deployment cancelled - nothing was written', 'info');
+      return;
+    }
+
     try {
       this.isDeploying = true;
       
@@ -976,24 +1770,16 @@ class DeployButton {
       this.updateDeployButtonUI(true);
       
       this.showDeploymentStatus();
-      
-      // Parse repository info
-      const [owner, repoName] = targetRepository.split('/');
-      
-      // Prepare final deployment options
-      const finalDeploymentOptions = {
-        targetRepository: targetRepository,
-        repositoryOwner: owner,
-        repositoryName: repoName,
-        ...deploymentOptions
-      };
 
       this.log('info', `Starting deployment to ${targetRepository}`);
       this.log('info', `Repository option: ${selectedRepoOption}`);
       this.log('info', `Pending changes: ${this.pendingChanges.length}`);
       
-      // Use the GitHub deployer with target repository
-      const results = await this.githubDeployer.deployDateSelections(this.pendingChanges, finalDeploymentOptions);
+      // Use the GitHub deployer with the confirmed plan
+      const results = await this.githubDeployer.deployDateSelections(this.pendingChanges, {
+        ...finalDeploymentOptions,
+        plan: deploymentPlan
+      });
       
       // Handle results
       this.handleDeploymentResults(results, targetRepository);
@@ -1008,6 +1794,88 @@ class DeployButton {
       // Restore deploy button UI
       this.updateDeployButtonUI(false);
       
+      // Surface the checkpoint if the run was interrupted
+      await this.checkForResumableDeployment();
+      await this.populateDeploymentHistory();
+      
+      setTimeout(() => this.hideDeploymentStatus(), 3000);
+    }
+  }
+
+  async checkForResumableDeployment() {
+    const resumeSection = document.querySelector('#histofy-resume-section');
+    if (!resumeSection || !this.githubDeployer || this.isDeploying) {
+      return;
+    }
+
+    const checkpoint = await this.githubDeployer.loadCheckpoint();
+    if (!checkpoint) {
+      resumeSection.style.display = 'none';
+      resumeSection.innerHTML = '';
+      return;
+    }
+
+    const remaining = checkpoint.remainingDates?.length || 0;
+    resumeSection.style.display = 'block';
+    resumeSection.innerHTML = `
+      <div class="histofy-info-card histofy-resume-card">
+        <h5>⏸️ Interrupted Deployment</h5>
+        <p><strong>Target:</strong> ${escapeHtml(checkpoint.targetRepository)} (${escapeHtml(checkpoint.branch)})</p>
+        <p><strong>Progress:</strong> ${checkpoint.createdCommits || 0} commits created, ${remaining} dates remaining</p>
+        <p><strong>Last checkpoint:</strong> ${this.formatTime(checkpoint.updatedAt)}</p>
+        <div class="histofy-resume-actions">
+          <button class="histofy-btn histofy-btn-secondary" id="histofy-discard-checkpoint">Discard</button>
+          <button class="histofy-btn histofy-btn-primary" id="histofy-resume-deploy">▶️ Resume deployment</button>
+        </div>
+      </div>
+    `;
+
+    resumeSection.querySelector('#histofy-resume-deploy').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.resumeDeployment();
+    });
+
+    resumeSection.querySelector('#histofy-discard-checkpoint').addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (confirm('Discard the interrupted deployment? Commits created so far will not be added to the branch.')) {
+        await this.githubDeployer.clearCheckpoint();
+        await this.checkForResumableDeployment();
+        this.showNotification('Interrupted deployment discarded', 'info');
+      }
+    });
+  }
+
+  async resumeDeployment() {
+    if (!this.githubAPI || !this.githubAPI.isAuthenticated()) {
+      this.showNotification('Please authenticate with GitHub first', 'error');
+      return;
+    }
+
+    if (this.isDeploying) {
+      this.showNotification('Deployment already in progress', 'warning');
+      return;
+    }
+
+    try {
+      this.isDeploying = true;
+      this.updateDeployButtonUI(true);
+      this.showDeploymentStatus();
+
+      const results = await this.githubDeployer.resumeDeployment();
+      const targetRepository = results.repositories.keys().next().value;
+
+      this.handleDeploymentResults(results, targetRepository);
+    } catch (error) {
+      console.error('Histofy: Resume failed:', error);
+      this.showNotification(`Resume failed: ${error.message}`, 'error');
+      this.log('error', `Resume failed: ${error.message}`);
+    } finally {
+      this.isDeploying = false;
+      this.updateDeployButtonUI(false);
+      await this.checkForResumableDeployment();
+      await this.populateDeploymentHistory();
       setTimeout(() => this.hideDeploymentStatus(), 3000);
     }
   }
@@ -1038,12 +1906,193 @@ class DeployButton {
 
     // Clear successful operations from pending changes
     if (successful.length > 0) {
-      this.clearProcessedChanges(successful);
+      if (results.resumed) {
+        // Only the interrupted change was completed by a resume
+        if (results.changeId && window.histofyStorage) {
+          window.histofyStorage.removePendingChange(results.changeId);
+        }
+      } else {
+        this.clearProcessedChanges(successful);
+      }
     }
 
     // Update UI
     this.updatePendingCount();
     this.populateChangesList();
+    this.populateDeploymentRecords();
+  }
+
+  async populateDeploymentRecords() {
+    const section = document.querySelector('#histofy-deployments-section');
+    if (!section || !window.histofyStorage) return;
+
+    const records = (await window.histofyStorage.getDeploymentRecords()).slice(0, 5);
+    if (records.length === 0) {
+      section.style.display = 'none';
+      section.innerHTML = '';
+      return;
+    }
+
+    const recordsHtml = records.map(record => {
+      let actionsHtml = '';
+      if (record.status === 'completed') {
+        actionsHtml = `
+          <div class="histofy-deployment-record-actions">
+            ${record.preDeployHead ? `<button class="histofy-btn histofy-btn-warning histofy-rollback-btn" data-record-id="${record.id}">↩️ Roll back</button>` : ''}
+            ${record.createdRepository ? `<button class="histofy-btn histofy-btn-danger histofy-delete-repo-btn" data-record-id="${record.id}">🗑️ Delete repository</button>` : ''}
+          </div>
+        `;
+      }
+
+      return `
+        <div class="histofy-deployment-record" data-record-id="${record.id}">
+          <div class="histofy-deployment-record-header">
+            <strong>${escapeHtml(record.repository)}</strong>
+            <span class="histofy-deployment-state histofy-deployment-state-${record.status}">${this.formatDeploymentState(record.status)}</span>
+          </div>
+          <p>${record.commitCount} commits on ${escapeHtml(record.branch)} &middot; ${record.dateRange?.start || '?'} to ${record.dateRange?.end || '?'}</p>
+          <p>Deployed ${new Date(record.deployedAt).toLocaleString()}</p>
+          ${actionsHtml}
+        </div>
+      `;
+    }).join('');
+
+    section.style.display = 'block';
+    section.innerHTML = `<h4>🕘 Recent Deployments</h4>${recordsHtml}`;
+
+    section.querySelectorAll('.histofy-rollback-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await this.rollbackDeployment(btn.getAttribute('data-record-id'));
+      });
+    });
+
+    section.querySelectorAll('.histofy-delete-repo-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await this.deleteDeploymentRepository(btn.getAttribute('data-record-id'));
+      });
+    });
+  }
+
+  async populateDeploymentHistory() {
+    const listElement = document.querySelector('#histofy-history-list');
+    if (!listElement || !window.histofyStorage) return;
+
+    const filters = {
+      status: document.querySelector('#histofy-history-status')?.value || 'all',
+      repository: (document.querySelector('#histofy-history-repo')?.value || '').trim()
+    };
+    const history = await window.histofyStorage.getDeploymentHistory(filters);
+
+    if (history.length === 0) {
+      const filtered = filters.status !== 'all' || filters.repository;
+      listElement.innerHTML = `<p class="histofy-history-empty">${filtered ? 'No runs match the filters' : 'No deployments yet'}</p>`;
+      return;
+    }
+
+    listElement.innerHTML = history.map(entry => {
+      const levels = Object.entries(entry.levelCounts || {})
+        .map(([level, counts]) => `<li>${counts.name} (level ${level}): ${counts.commits} commits on ${counts.dates} days</li>`)
+        .join('');
+
+      const failures = (entry.failures || [])
+        .map(failure => `<li>${escapeHtml(failure.date || 'Unknown date')}: ${escapeHtml(failure.error)}</li>`)
+        .join('');
+
+      const logs = (entry.logs || [])
+        .map(log => `[${this.formatTime(log.timestamp)}] ${log.level.toUpperCase()} ${log.message}`)
+        .join('\n');
+
+      return `
+        <details class="histofy-history-entry">
+          <summary>
+            <span class="histofy-history-title">${this.formatHistoryStatus(entry.status)} ${escapeHtml((entry.repositories || []).join(', ') || 'Unknown repository')}</span>
+            <span class="histofy-history-meta">${entry.totalCommits} commits${entry.rewrittenCommits ? ` &middot; ${entry.rewrittenCommits} re-dated` : ''} &middot; ${new Date(entry.startedAt).toLocaleString()}</span>
+          </summary>
+          <div class="histofy-history-details">
+            <p><strong>Dates:</strong> ${entry.dateRange ? `${entry.dateRange.start} to ${entry.dateRange.end} (${entry.totalDates} days)` : 'None'}${entry.resumed ? ' &middot; resumed run' : ''}</p>
+            ${levels ? `<ul>${levels}</ul>` : ''}
+            ${entry.error ? `<p class="histofy-history-error"><strong>Error:</strong> ${escapeHtml(entry.error)}</p>` : ''}
+            ${failures ? `<p class="histofy-history-error"><strong>Failures:</strong></p><ul class="histofy-history-error">${failures}</ul>` : ''}
+            <pre class="histofy-history-log">${escapeHtml(logs) || 'No log entries'}</pre>
+          </div>
+        </details>
+      `;
+    }).join('');
+  }
+
+  formatHistoryStatus(status) {
+    const statusMap = {
+      'completed': '✅',
+      'partial': '⚠️',
+      'failed': '❌'
+    };
+    return statusMap[status] || '•';
+  }
+
+  formatDeploymentState(status) {
+    const statusMap = {
+      'completed': '✅ Deployed',
+      'rolled_back': '↩️ Rolled back',
+      'repository_deleted': '🗑️ Repository deleted'
+    };
+    return statusMap[status] || status;
+  }
+
+  async findDeploymentRecord(recordId) {
+    const records = await window.histofyStorage.getDeploymentRecords();
+    return records.find(record => record.id === recordId) || null;
+  }
+
+  async rollbackDeployment(recordId) {
+    const record = await this.findDeploymentRecord(recordId);
+    if (!record || !this.githubDeployer) return;
+
+    const warning = `⚠️ Roll back ${record.repository} (${record.branch})?\n\n` +
+      `This force-resets the branch to ${record.preDeployHead.substring(0, 7)} and removes ${record.commitCount} commits from its history. ` +
+      `Histofy first verifies that nothing has been pushed since the deployment.\n\nThis cannot be undone.`;
+    if (!confirm(warning)) return;
+
+    try {
+      this.showNotification(`Rolling back ${record.repository}...`, 'info');
+      await this.githubDeployer.rollbackDeployment(record);
+      this.showNotification(`↩️ Rolled back ${record.commitCount} commits from ${record.repository}`, 'success');
+    } catch (error) {
+      console.error('Histofy: Rollback failed:', error);
+      this.showNotification(`Rollback failed: ${error.message}`, 'error');
+    } finally {
+      await this.populateDeploymentRecords();
+    }
+  }
+
+  async deleteDeploymentRepository(recordId) {
+    const record = await this.findDeploymentRecord(recordId);
+    if (!record || !this.githubDeployer) return;
+
+    const confirmation = prompt(
+      `⚠️ Permanently delete ${record.repository}?\n\n` +
+      `The repository and all of its history will be removed from GitHub. Type the repository name (${record.repo}) to confirm.`
+    );
+    if (confirmation !== record.repo) {
+      if (confirmation !== null) {
+        this.showNotification('Repository name did not match - nothing was deleted', 'warning');
+      }
+      return;
+    }
+
+    try {
+      this.showNotification(`Deleting ${record.repository}...`, 'info');
+      await this.githubDeployer.deleteDeploymentRepository(record);
+      this.showNotification(`🗑️ Deleted ${record.repository}`, 'success');
+    } catch (error) {
+      console.error('Histofy: Repository deletion failed:', error);
+      this.showNotification(`Delete failed: ${error.message}`, 'error');
+    } finally {
+      await this.populateDeploymentRecords();
+    }
   }
 
   showRepositoryLink(repoUrl) {
@@ -1113,12 +2162,108 @@ class DeployButton {
     }, 10000); // Longer timeout for combined notification
   }
 
-  updateDeployButtonUI(isDeploying) {
+  // Render the dry-run plan and resolve with the user's decision
+  showDeploymentPlan(plan) {
+    const planDiv = document.querySelector('#histofy-deploy-plan');
+    if (!planDiv) {
+      return Promise.resolve(false);
+    }
+
+    // Cancel any plan that is still waiting for confirmation
+    if (this.planResolver) {
+      this.planResolver(false);
+    }
+
+    const repositoriesHtml = plan.repositories.map(repoPlan => {
+      const rowsHtml = repoPlan.dates.map(entry => `
+        <details class="histofy-plan-date">
+          <summary>
+            <span class="histofy-plan-date-label">${entry.date}</span>
+            <span>${entry.levelName || 'Custom'}</span>
+            <span>${entry.commitCount} commit${entry.commitCount === 1 ? '' : 's'}</span>
+          </summary>
+          <ul class="histofy-plan-commits">
+            ${entry.commits.map(commit => `<li><code>${commit.timestamp}</code> ${commit.message}</li>`).join('')}
+          </ul>
+        </details>
+      `).join('');
+
+      return `
+        <div class="histofy-plan-repo">
+          <p><strong>Repository:</strong> ${escapeHtml(repoPlan.repository)} ${repoPlan.willCreate ? '(will be created)' : ''}</p>
+          <p><strong>Branch:</strong> ${escapeHtml(repoPlan.branch)} &middot; <strong>Batches:</strong> ${repoPlan.batches}
+            &middot; <strong>Backend:</strong> ${repoPlan.backend === 'graphql' ? 'GraphQL createCommitOnBranch' : 'Git data API'}</p>
+          ${repoPlan.backendNote ? `<p>⚠️ ${escapeHtml(repoPlan.backendNote)}</p>` : ''}
+          <div class="histofy-plan-dates">${rowsHtml || '<p>No dates to deploy</p>'}</div>
+        </div>
+      `;
+    }).join('');
+
+    planDiv.style.display = 'block';
+    planDiv.innerHTML = `
+      <h4>🧪 Deployment Plan (dry run)</h4>
+      <div class="histofy-plan-summary">
+        <p><strong>Target:</strong> ${escapeHtml(plan.targetRepository)}</p>
+        <p><strong>Author:</strong> ${escapeHtml(plan.author.name)} &lt;${escapeHtml(plan.author.email)}&gt;</p>
+        <p><strong>Dates:</strong> ${plan.totalDates} &middot; <strong>Commits:</strong> ${plan.totalCommits}</p>
+        ${(plan.calibration || []).map(calibration => `
+          <p><strong>${calibration.year} levels:</strong> ${calibration.baselineDescription} &rarr; ${calibration.description}
+            ${calibration.converged ? '' : `&middot; ⚠️ ${calibration.unreachable.length} date(s) cannot reach their shade`}</p>
+        `).join('')}
+        <p><strong>Estimated API calls:</strong> ~${plan.apiBudget.total}
+          (${plan.apiBudget.commitCalls} for commits at ${plan.apiBudget.perCommit} per commit, ${plan.apiBudget.setupCalls} for setup)
+          ${plan.apiBudget.graphqlCalls > 0 ? `&middot; ${plan.apiBudget.graphqlCalls} GraphQL mutations` : ''}</p>
+        ${plan.rateLimit ? `
+          <p><strong>Rate limit:</strong> ${plan.rateLimit.remaining}/${plan.rateLimit.limit} calls left
+            ${plan.rateLimit.pauses > 0
+              ? `&middot; ⚠️ Not enough for this run: it will pause ${plan.rateLimit.pauses} time(s) for the limit to reset
+                 (about ${this.formatCountdown(plan.rateLimit.estimatedWait)} of waiting) and resume automatically`
+              : ''}</p>
+        ` : ''}
+      </div>
+      ${repositoriesHtml}
+      ${(plan.rewrites || []).map(rewrite => `
+        <div class="histofy-plan-repo">
+          <p><strong>History rewrite:</strong> ${escapeHtml(rewrite.repository)}${rewrite.branch ? `@${escapeHtml(rewrite.branch)}` : ''}</p>
+          ${rewrite.error
+            ? `<p class="histofy-rewrite-error">⚠️ ${escapeHtml(rewrite.error)}</p>`
+            : this.renderRewritePreview(rewrite)}
+        </div>
+      `).join('')}
+      <div class="histofy-plan-actions">
+        <button class="histofy-btn histofy-btn-secondary" id="histofy-plan-cancel">Cancel</button>
+        <button class="histofy-btn histofy-btn-primary" id="histofy-plan-confirm">✅ Confirm & Deploy</button>
+      </div>
+    `;
+
+    return new Promise(resolve => {
+      this.planResolver = (confirmed) => {
+        this.planResolver = null;
+        planDiv.style.display = 'none';
+        planDiv.innerHTML = '';
+        resolve(confirmed);
+      };
+
+      planDiv.querySelector('#histofy-plan-confirm').addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.planResolver(true);
+      });
+
+      planDiv.querySelector('#histofy-plan-cancel').addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.planResolver(false);
+      });
+    });
+  }
+
+  updateDeployButtonUI(isDeploying, label = '⏳ Deploying...') {
     const startDeployBtn = document.querySelector('#histofy-start-deploy');
     if (startDeployBtn) {
       if (isDeploying) {
         startDeployBtn.disabled = true;
-        startDeployBtn.innerHTML = '⏳ Deploying...';
+        startDeployBtn.innerHTML = label;
         startDeployBtn.classList.add('histofy-deploying');
       } else {
         startDeployBtn.disabled = false;
@@ -1155,6 +2300,7 @@ class DeployButton {
             <div class="histofy-progress-fill" id="histofy-progress-fill"></div>
           </div>
           <p id="histofy-deployment-message">🚀 Preparing deployment...</p>
+          <p class="histofy-rate-limit-countdown" id="histofy-rate-limit-countdown" style="display: none;"></p>
           <div class="histofy-deployment-logs" id="histofy-deployment-logs">
             <!-- Logs will appear here -->
           </div>
@@ -1181,6 +2327,17 @@ class DeployButton {
       progressFill.style.width = `${status.progress || 0}%`;
     }
 
+    // The deployer re-broadcasts every second while paused, which drives the countdown
+    const countdown = document.querySelector('#histofy-rate-limit-countdown');
+    if (countdown) {
+      const pause = status.rateLimitPause;
+      countdown.style.display = pause ? 'block' : 'none';
+      if (pause) {
+        const cause = pause.reason ? `Waiting out ${pause.reason}` : `Rate limit reached with ${pause.remaining} calls left`;
+        countdown.textContent = `⏸️ ${cause} - resuming in ${this.formatCountdown(pause.resumeAt - Date.now())} (at ${new Date(pause.resumeAt).toLocaleTimeString()})`;
+      }
+    }
+
     if (logsContainer && status.logs) {
       // Show last few log entries
       const recentLogs = status.logs.slice(-3);
@@ -1192,6 +2349,15 @@ class DeployButton {
     }
   }
 
+  // "1:05:09" or "5:09" for a duration in milliseconds
+  formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  }
+
   hideDeploymentStatus() {
     const statusDiv = document.querySelector('#histofy-deploy-status');
     if (statusDiv) {
@@ -1283,7 +2449,8 @@ class DeployButton {
       'move_commits': '🔄 Move Commits',
       'move_commits_timeline': '⏰ Timeline Move',
       'generate_commits': '🎲 Generate Commits',
-      'intensity_pattern': '🎨 Intensity Pattern'
+      'intensity_pattern': '🎨 Intensity Pattern',
+      'redate_commits': '🕒 Re-date Commits'
     };
     return typeMap[type] || '❓ Unknown';
   }
@@ -1320,6 +2487,78 @@ class DeployButton {
           </div>
         `;
       
+      case 'generate_commits': {
+        const patternName = this.githubDeployer?.generationPatterns?.[change.pattern]?.name || change.pattern;
+        const intensityNames = { 1: 'Low', 2: 'Medium', 3: 'High', 4: 'Very High' };
+        let dayCount = null;
+        try {
+          dayCount = this.githubDeployer ? this.githubDeployer.getDateSelection(change).dates.length : null;
+        } catch (error) {
+          dayCount = null;
+        }
+
+        return `
+          <p><strong>Pattern:</strong> ${patternName}</p>
+          <p><strong>Intensity:</strong> ${intensityNames[change.intensity] || 'Medium'}</p>
+          ${dayCount !== null ? `<p><strong>Days:</strong> ${dayCount} dates</p>` : ''}
+          <div class="histofy-date-range">
+            <strong>Date Range:</strong> ${change.startDate} to ${change.endDate}
+          </div>
+        `;
+      }
+      
+      case 'intensity_pattern': {
+        const rhythm = String(change.intensity || '');
+        const levelNames = ['None', 'Low', 'Medium', 'High', 'Very High'];
+        const days = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+        const weekly = days
+          .map(([day, name]) => `${name} ${levelNames[parseInt(rhythm[day], 10)] || 'None'}`)
+          .join(', ');
+
+        return `
+          <p><strong>Weekly Rhythm:</strong> ${weekly}</p>
+          <p><strong>Days:</strong> ${change.commits} dates</p>
+          <div class="histofy-date-range">
+            <strong>Date Range:</strong> ${change.startDate} to ${change.endDate}
+          </div>
+        `;
+      }
+      
+      case 'move_commits':
+        return `
+          <p><strong>Repository:</strong> ${escapeHtml(change.repository)}${change.branch ? `@${escapeHtml(change.branch)}` : ''}</p>
+          <p><strong>Commits:</strong> ${(change.commits || []).length || 'All'} from ${(change.sourceDates || []).join(', ')}</p>
+          <p><strong>Target Date:</strong> ${change.targetDate}</p>
+          <p>⚠️ Rewrites history - later commits on the branch get new SHAs</p>
+        `;
+      
+      case 'redate_commits': {
+        const commits = change.commits || [];
+        const rows = commits.slice(0, 5).map(commit => `
+          <li><code>${commit.sha.substring(0, 7)}</code> ${commit.date.split('T')[0]} &rarr; ${commit.targetDate}</li>
+        `).join('');
+        return `
+          <p><strong>Repository:</strong> ${escapeHtml(change.repository)}${change.branch ? `@${escapeHtml(change.branch)}` : ''}</p>
+          <p><strong>Commits:</strong> ${commits.length}</p>
+          <ul>${rows}${commits.length > 5 ? `<li>...and ${commits.length - 5} more</li>` : ''}</ul>
+          <p>⚠️ Rewrites history - later commits on the branch get new SHAs</p>
+        `;
+      }
+      
+      case 'move_commits_timeline': {
+        const commits = change.commits || [];
+        const distributionNames = { even: 'Evenly spaced', working_hours: 'Working hours', preserve_gaps: 'Preserve relative gaps' };
+        return `
+          <p><strong>Repository:</strong> ${escapeHtml(change.repository)}${change.branch ? `@${escapeHtml(change.branch)}` : ''}</p>
+          <p><strong>Commits:</strong> ${commits.length}${commits.length > 0 ? ` (${commits[0].sha.substring(0, 7)}..${commits[commits.length - 1].sha.substring(0, 7)})` : ''}</p>
+          <p><strong>Spacing:</strong> ${distributionNames[change.distribution] || change.distribution}</p>
+          <div class="histofy-date-range">
+            <strong>New Timeline:</strong> ${change.targetDate} to ${change.endDate}
+          </div>
+          <p>⚠️ Rewrites history - later commits on the branch get new SHAs</p>
+        `;
+      }
+      
       default:
         return `<p>Unknown change type: ${change.type}</p>`;
     }
@@ -0,0 +1,314 @@
+// Image pattern importer for Histofy extension
+// Downsamples a picture to the contribution graph's week grid and quantizes it into levels
+class ImagePatternImporter {
+  constructor() {
+    this.rows = 7;
+    this.acceptedTypes = ['image/png', 'image/jpeg'];
+
+    this.defaultOptions = {
+      threshold: 15,
+      dither: false,
+      invert: false
+    };
+
+    // Darkness (0-1) per grid cell of the loaded image, as rows of columns
+    this.darkness = null;
+    this.fileName = null;
+    this.panel = null;
+    this.dropTargets = null;
+    this.dropHandlers = null;
+  }
+
+  // Decode an image file into an HTMLImageElement
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      if (!this.acceptedTypes.includes(file.type)) {
+        reject(new Error(`Unsupported image type: ${file.type || 'unknown'}`));
+        return;
+      }
+
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to decode image'));
+      };
+      image.src = url;
+    });
+  }
+
+  // Scale the image down to columns x 7 and convert every cell to darkness (0 = white, 1 = black)
+  sampleImage(image, columns) {
+    const canvas = document.createElement('canvas');
+    canvas.width = columns;
+    canvas.height = this.rows;
+
+    const context = canvas.getContext('2d');
+    // Transparent areas count as white background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, columns, this.rows);
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(image, 0, 0, columns, this.rows);
+
+    const pixels = context.getImageData(0, 0, columns, this.rows).data;
+    const darkness = [];
+    for (let y = 0; y < this.rows; y++) {
+      const row = [];
+      for (let x = 0; x < columns; x++) {
+        const index = (y * columns + x) * 4;
+        // Rec. 601 luma
+        const luma = 0.299 * pixels[index] + 0.587 * pixels[index + 1] + 0.114 * pixels[index + 2];
+        row.push(1 - luma / 255);
+      }
+      darkness.push(row);
+    }
+
+    return darkness;
+  }
+
+  // Level for a darkness value; anything under the threshold stays empty
+  quantize(value, threshold) {
+    if (value < threshold) return 0;
+    const level = 1 + Math.floor((value - threshold) / (1 - threshold) * 4);
+    return Math.min(4, Math.max(1, level));
+  }
+
+  // Darkness a level stands for, used to measure the dithering error
+  levelValue(level, threshold) {
+    if (level === 0) return 0;
+    return threshold + (level - 0.5) * (1 - threshold) / 4;
+  }
+
+  // Quantize the sampled darkness into levels, optionally with Floyd-Steinberg dithering
+  quantizeGrid(darkness, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+    const threshold = Math.min(0.95, Math.max(0, settings.threshold / 100));
+    const values = darkness.map(row => row.map(value => settings.invert ? 1 - value : value));
+    const levels = values.map(row => row.map(() => 0));
+    const height = values.length;
+    const width = height > 0 ? values[0].length : 0;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const value = Math.min(1, Math.max(0, values[y][x]));
+        const level = this.quantize(value, threshold);
+        levels[y][x] = level;
+
+        if (!settings.dither) continue;
+
+        const error = value - this.levelValue(level, threshold);
+        const spread = (dx, dy, weight) => {
+          if (x + dx >= 0 && x + dx < width && y + dy < height) {
+            values[y + dy][x + dx] += error * weight;
+          }
+        };
+        spread(1, 0, 7 / 16);
+        spread(-1, 1, 3 / 16);
+        spread(0, 1, 5 / 16);
+        spread(1, 1, 1 / 16);
+      }
+    }
+
+    return levels;
+  }
+
+  // Map quantized rows onto graph dates ({ columns, cells: { 'column:day': date } })
+  generate(darkness, grid, options = {}) {
+    const levels = this.quantizeGrid(darkness, options);
+    const result = {};
+
+    levels.forEach((row, day) => {
+      row.forEach((level, column) => {
+        const date = grid.cells[`${column}:${day}`];
+        if (date && level > 0) {
+          result[date] = level;
+        }
+      });
+    });
+
+    return result;
+  }
+
+  // Form shown in the overlay's generator area
+  renderPanel(container, overlay) {
+    this.panel = container;
+
+    container.innerHTML = `
+      <div class="histofy-generator-title">🖼️ Image Import</div>
+      <div class="histofy-generator-dropzone" id="histofy-image-dropzone">
+        Drop a PNG or JPEG here (or onto the graph), or
+        <label class="histofy-generator-file">
+          choose a file
+          <input type="file" id="histofy-image-file" accept="${this.acceptedTypes.join(',')}">
+        </label>
+      </div>
+      <div class="histofy-generator-row">
+        <label>Threshold
+          <input type="range" id="histofy-image-threshold" min="0" max="90" step="1" value="${this.defaultOptions.threshold}">
+          <span id="histofy-image-threshold-value">${this.defaultOptions.threshold}%</span>
+        </label>
+        <label class="histofy-generator-check">
+          <input type="checkbox" id="histofy-image-dither" ${this.defaultOptions.dither ? 'checked' : ''}> Dithering
+        </label>
+        <label class="histofy-generator-check">
+          <input type="checkbox" id="histofy-image-invert" ${this.defaultOptions.invert ? 'checked' : ''}> Invert
+        </label>
+      </div>
+      <div class="histofy-generator-info" id="histofy-image-info"></div>
+      <div class="histofy-generator-actions">
+        <label class="histofy-generator-check">
+          <input type="checkbox" id="histofy-image-replace" checked> Replace current selection
+        </label>
+        <button class="histofy-generator-apply" id="histofy-image-apply" disabled>Apply to graph</button>
+      </div>
+    `;
+
+    container.querySelector('#histofy-image-file').addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (file) {
+        this.importFile(file, overlay);
+      }
+    });
+
+    ['#histofy-image-threshold', '#histofy-image-dither', '#histofy-image-invert'].forEach(selector => {
+      container.querySelector(selector).addEventListener('input', () => this.updatePreview(overlay));
+      container.querySelector(selector).addEventListener('change', () => this.updatePreview(overlay));
+    });
+
+    container.querySelector('#histofy-image-apply').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.applyToOverlay(overlay);
+    });
+
+    this.attachDropHandlers(container.querySelector('#histofy-image-dropzone'), overlay);
+    this.updatePreview(overlay);
+  }
+
+  // Accept dropped files on the drop zone and on the contribution graph itself
+  attachDropHandlers(dropzone, overlay) {
+    this.detachDropHandlers();
+
+    const onDragOver = (e) => {
+      if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+      e.preventDefault();
+      dropzone.classList.add('histofy-generator-dropzone-active');
+    };
+    const onDragLeave = () => {
+      dropzone.classList.remove('histofy-generator-dropzone-active');
+    };
+    const onDrop = (e) => {
+      const file = e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0];
+      if (!file) return;
+      e.preventDefault();
+      e.stopPropagation();
+      dropzone.classList.remove('histofy-generator-dropzone-active');
+      this.importFile(file, overlay);
+    };
+
+    const targets = [dropzone, overlay.findContributionGraph()].filter(Boolean);
+    targets.forEach(target => {
+      target.addEventListener('dragover', onDragOver);
+      target.addEventListener('dragleave', onDragLeave);
+      target.addEventListener('drop', onDrop);
+    });
+
+    this.dropTargets = targets;
+    this.dropHandlers = { onDragOver, onDragLeave, onDrop };
+  }
+
+  detachDropHandlers() {
+    if (!this.dropTargets || !this.dropHandlers) return;
+
+    this.dropTargets.forEach(target => {
+      target.removeEventListener('dragover', this.dropHandlers.onDragOver);
+      target.removeEventListener('dragleave', this.dropHandlers.onDragLeave);
+      target.removeEventListener('drop', this.dropHandlers.onDrop);
+    });
+    this.dropTargets = null;
+    this.dropHandlers = null;
+  }
+
+  // Called by the overlay when the panel closes; the overlay clears the preview itself
+  closePanel() {
+    this.detachDropHandlers();
+    this.panel = null;
+  }
+
+  async importFile(file, overlay) {
+    const info = this.panel && this.panel.querySelector('#histofy-image-info');
+
+    try {
+      const image = await this.loadImage(file);
+      const grid = overlay.getGraphGrid();
+      this.darkness = this.sampleImage(image, grid.columns);
+      this.fileName = file.name;
+      console.log(`Histofy: Imported ${file.name} (${image.width}x${image.height}) into a ${grid.columns}x${this.rows} grid`);
+      this.updatePreview(overlay);
+    } catch (error) {
+      console.error('Histofy: Image import failed:', error);
+      if (info) {
+        info.innerHTML = `<span class="histofy-generator-warning">⚠️ ${error.message}</span>`;
+      }
+    }
+  }
+
+  getPanelOptions() {
+    return {
+      threshold: parseInt(this.panel.querySelector('#histofy-image-threshold').value, 10),
+      dither: this.panel.querySelector('#histofy-image-dither').checked,
+      invert: this.panel.querySelector('#histofy-image-invert').checked,
+      replace: this.panel.querySelector('#histofy-image-replace').checked
+    };
+  }
+
+  // Re-quantize with the current controls and draw the result on the live graph
+  updatePreview(overlay) {
+    if (!this.panel) return;
+
+    const options = this.getPanelOptions();
+    const info = this.panel.querySelector('#histofy-image-info');
+    this.panel.querySelector('#histofy-image-threshold-value').textContent = `${options.threshold}%`;
+
+    if (!this.darkness) {
+      info.innerHTML = '<span class="histofy-generator-muted">No image loaded yet</span>';
+      this.panel.querySelector('#histofy-image-apply').disabled = true;
+      return;
+    }
+
+    const levels = this.generate(this.darkness, overlay.getGraphGrid(), options);
+    overlay.previewLevels(levels);
+
+    const counts = [1, 2, 3, 4].map(level => Object.values(levels).filter(value => value === level).length);
+    info.innerHTML = `Previewing <strong>${escapeHtml(this.fileName)}</strong>: ${Object.keys(levels).length} days ` +
+      `(L1 ${counts[0]} · L2 ${counts[1]} · L3 ${counts[2]} · L4 ${counts[3]})`;
+    this.panel.querySelector('#histofy-image-apply').disabled = false;
+  }
+
+  applyToOverlay(overlay) {
+    if (!this.darkness) return;
+
+    const options = this.getPanelOptions();
+    const levels = this.generate(this.darkness, overlay.getGraphGrid(), options);
+    const applied = overlay.applyGeneratedLevels(levels, {
+      label: 'Image import',
+      replace: options.replace
+    });
+
+    this.panel.querySelector('#histofy-image-info').innerHTML =
+      `<span class="histofy-generator-success">✅ Image applied to ${applied} days</span>`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImagePatternImporter;
+} else if (typeof window !== 'undefined') {
+  window.ImagePatternImporter = ImagePatternImporter;
+  window.histofyImageImporter = new ImagePatternImporter();
+}
@@ -0,0 +1,311 @@
+// Pattern template library for Histofy extension
+// Templates are year independent: 7 rows (Sunday first) of level digits, one character per week
+class PatternTemplateLibrary {
+  constructor() {
+    this.rows = 7;
+    this.panel = null;
+    this.templates = [];
+    this.selectedId = null;
+  }
+
+  // Built-in templates are generated here and never stored
+  getBuiltInTemplates() {
+    const build = (weeks, levelAt) => [0, 1, 2, 3, 4, 5, 6].map(day => {
+      let row = '';
+      for (let week = 0; week < weeks; week++) {
+        row += String(levelAt(week, day));
+      }
+      return row;
+    });
+
+    const heart = [
+      '.......',
+      '.##.##.',
+      '#######',
+      '#######',
+      '.#####.',
+      '..###..',
+      '...#...'
+    ];
+
+    return [
+      {
+        id: 'builtin-checkerboard',
+        name: 'Checkerboard',
+        description: 'Alternating high and empty days',
+        weeks: 53,
+        rows: build(53, (week, day) => (week + day) % 2 === 0 ? 3 : 0)
+      },
+      {
+        id: 'builtin-wave',
+        name: 'Wave',
+        description: 'A sine wave rolling across the year',
+        weeks: 53,
+        rows: build(53, (week, day) => {
+          const crest = Math.round(3 + 3 * Math.sin(week * 2 * Math.PI / 13));
+          const distance = Math.abs(day - crest);
+          return distance === 0 ? 4 : distance === 1 ? 2 : 0;
+        })
+      },
+      {
+        id: 'builtin-weekdays',
+        name: 'Weekdays Only',
+        description: 'Medium activity Monday to Friday, quiet weekends',
+        weeks: 53,
+        rows: build(53, (week, day) => day >= 1 && day <= 5 ? 2 : 0)
+      },
+      {
+        id: 'builtin-heart',
+        name: 'Heart',
+        description: 'A 7-week heart, place it with the start week',
+        weeks: 7,
+        startWeek: 24,
+        rows: heart.map(row => row.replace(/#/g, '4').replace(/\./g, '0'))
+      },
+      {
+        id: 'builtin-streak',
+        name: 'Streak',
+        description: 'Something every day, growing stronger through the year',
+        weeks: 53,
+        rows: build(53, (week) => 1 + Math.min(3, Math.floor(week / 14)))
+      }
+    ].map(template => ({ ...template, builtIn: true }));
+  }
+
+  async loadTemplates() {
+    const saved = window.histofyStorage ? await window.histofyStorage.getTemplates() : [];
+    this.templates = [...this.getBuiltInTemplates(), ...saved];
+    return this.templates;
+  }
+
+  findTemplate(templateId) {
+    return this.templates.find(template => template.id === templateId) || null;
+  }
+
+  // Turn the overlay's selection into a template relative to its first selected week
+  captureSelection(overlay, name) {
+    const grid = overlay.getGraphGrid();
+    const positions = Object.entries(overlay.contributions)
+      .filter(([, contribution]) => contribution && contribution.level > 0)
+      .map(([date, contribution]) => ({
+        column: overlay.getTileGridPosition(date).week - grid.firstWeek,
+        day: overlay.getTileGridPosition(date).day,
+        level: contribution.level
+      }));
+
+    if (positions.length === 0) {
+      return null;
+    }
+
+    const firstColumn = Math.min(...positions.map(position => position.column));
+    const weeks = Math.max(...positions.map(position => position.column)) - firstColumn + 1;
+    const rows = [0, 1, 2, 3, 4, 5, 6].map(() => new Array(weeks).fill('0'));
+    positions.forEach(position => {
+      rows[position.day][position.column - firstColumn] = String(position.level);
+    });
+
+    return {
+      name: name,
+      description: `${positions.length} days over ${weeks} week${weeks === 1 ? '' : 's'}`,
+      weeks: weeks,
+      startWeek: firstColumn + 1,
+      rows: rows.map(row => row.join(''))
+    };
+  }
+
+  // Place a template on the graph grid, its first week on startWeek (1-based)
+  generate(template, grid, startWeek = 1) {
+    const levels = {};
+    let clippedDays = 0;
+
+    template.rows.forEach((row, day) => {
+      [...row].forEach((char, week) => {
+        const level = parseInt(char, 10) || 0;
+        if (level === 0) return;
+
+        const date = grid.cells[`${startWeek - 1 + week}:${day}`];
+        if (date) {
+          levels[date] = Math.min(4, level);
+        } else {
+          clippedDays++;
+        }
+      });
+    });
+
+    return { levels, clippedDays };
+  }
+
+  // Form shown in the overlay's generator area
+  async renderPanel(container, overlay) {
+    this.panel = container;
+    container.innerHTML = `
+      <div class="histofy-generator-title">📚 Pattern Templates</div>
+      <div class="histofy-generator-row">
+        <select id="histofy-template-select" class="histofy-generator-input"></select>
+        <label>Start week
+          <input type="number" id="histofy-template-start" value="1" min="1" max="${overlay.getGraphGrid().columns}" step="1">
+        </label>
+      </div>
+      <div class="histofy-generator-info" id="histofy-template-info"></div>
+      <div class="histofy-generator-actions">
+        <div class="histofy-generator-buttons">
+          <button class="histofy-paint-tool" id="histofy-template-save">💾 Save selection</button>
+          <button class="histofy-paint-tool" id="histofy-template-rename">✏️ Rename</button>
+          <button class="histofy-paint-tool" id="histofy-template-delete">🗑️ Delete</button>
+        </div>
+        <label class="histofy-generator-check">
+          <input type="checkbox" id="histofy-template-replace" checked> Replace current selection
+        </label>
+        <button class="histofy-generator-apply" id="histofy-template-apply">Apply to graph</button>
+      </div>
+    `;
+
+    container.querySelector('#histofy-template-select').addEventListener('change', (e) => {
+      this.selectedId = e.target.value;
+      const template = this.findTemplate(this.selectedId);
+      if (template) {
+        container.querySelector('#histofy-template-start').value = template.startWeek || 1;
+      }
+      this.updatePreview(overlay);
+    });
+
+    container.querySelector('#histofy-template-start').addEventListener('input', () => this.updatePreview(overlay));
+
+    const bind = (selector, handler) => {
+      container.querySelector(selector).addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        handler();
+      });
+    };
+    bind('#histofy-template-save', () => this.saveSelection(overlay));
+    bind('#histofy-template-rename', () => this.renameSelected(overlay));
+    bind('#histofy-template-delete', () => this.deleteSelected(overlay));
+    bind('#histofy-template-apply', () => this.applyToOverlay(overlay));
+
+    await this.refreshList(overlay);
+  }
+
+  closePanel() {
+    this.panel = null;
+  }
+
+  async refreshList(overlay) {
+    await this.loadTemplates();
+    if (!this.panel) return;
+
+    if (!this.findTemplate(this.selectedId)) {
+      this.selectedId = this.templates[0]?.id || null;
+    }
+
+    const option = (template) => `
+      <option value="${template.id}" ${template.id === this.selectedId ? 'selected' : ''}>${escapeHtml(template.name)}</option>
+    `;
+    const builtIn = this.templates.filter(template => template.builtIn);
+    const saved = this.templates.filter(template => !template.builtIn);
+
+    this.panel.querySelector('#histofy-template-select').innerHTML = `
+      <optgroup label="Built-in">${builtIn.map(option).join('')}</optgroup>
+      ${saved.length > 0 ? `<optgroup label="Saved">${saved.map(option).join('')}</optgroup>` : ''}
+    `;
+
+    const selected = this.findTemplate(this.selectedId);
+    if (selected) {
+      this.panel.querySelector('#histofy-template-start').value = selected.startWeek || 1;
+    }
+    this.updatePreview(overlay);
+  }
+
+  getStartWeek() {
+    return Math.max(1, parseInt(this.panel.querySelector('#histofy-template-start').value, 10) || 1);
+  }
+
+  // Show the selected template on the live graph
+  updatePreview(overlay) {
+    if (!this.panel) return;
+
+    const template = this.findTemplate(this.selectedId);
+    const info = this.panel.querySelector('#histofy-template-info');
+    this.panel.querySelector('#histofy-template-rename').disabled = !template || template.builtIn;
+    this.panel.querySelector('#histofy-template-delete').disabled = !template || template.builtIn;
+
+    if (!template) {
+      info.innerHTML = '<span class="histofy-generator-muted">No templates yet</span>';
+      overlay.clearPreview();
+      return;
+    }
+
+    const result = this.generate(template, overlay.getGraphGrid(), this.getStartWeek());
+    overlay.previewLevels(result.levels);
+
+    const lines = [`${escapeHtml(template.description || '')} &middot; ${template.weeks} week${template.weeks === 1 ? '' : 's'}, ${Object.keys(result.levels).length} days`];
+    if (result.clippedDays > 0) {
+      lines.push(`<span class="histofy-generator-warning">⚠️ ${result.clippedDays} days fall outside this year and will be skipped</span>`);
+    }
+    info.innerHTML = lines.join('<br>');
+  }
+
+  applyToOverlay(overlay) {
+    const template = this.findTemplate(this.selectedId);
+    if (!template) return;
+
+    const result = this.generate(template, overlay.getGraphGrid(), this.getStartWeek());
+    const applied = overlay.applyGeneratedLevels(result.levels, {
+      label: `Template: ${template.name}`,
+      replace: this.panel.querySelector('#histofy-template-replace').checked
+    });
+
+    this.panel.querySelector('#histofy-template-info').innerHTML =
+      `<span class="histofy-generator-success">✅ ${escapeHtml(template.name)} applied to ${applied} days</span>`;
+  }
+
+  async saveSelection(overlay) {
+    if (!window.histofyStorage) return;
+
+    const name = prompt('Name for this template:');
+    if (!name || !name.trim()) return;
+
+    const template = this.captureSelection(overlay, name.trim());
+    if (!template) {
+      this.panel.querySelector('#histofy-template-info').innerHTML =
+        '<span class="histofy-generator-warning">⚠️ Select some tiles before saving a template</span>';
+      return;
+    }
+
+    const templateId = await window.histofyStorage.saveTemplate(template);
+    if (templateId) {
+      this.selectedId = templateId;
+      await this.refreshList(overlay);
+    }
+  }
+
+  async renameSelected(overlay) {
+    const template = this.findTemplate(this.selectedId);
+    if (!template || template.builtIn || !window.histofyStorage) return;
+
+    const name = prompt('Rename template:', template.name);
+    if (!name || !name.trim() || name.trim() === template.name) return;
+
+    await window.histofyStorage.renameTemplate(template.id, name.trim());
+    await this.refreshList(overlay);
+  }
+
+  async deleteSelected(overlay) {
+    const template = this.findTemplate(this.selectedId);
+    if (!template || template.builtIn || !window.histofyStorage) return;
+
+    if (!confirm(`Delete template "${template.name}"?`)) return;
+
+    await window.histofyStorage.deleteTemplate(template.id);
+    this.selectedId = null;
+    await this.refreshList(overlay);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PatternTemplateLibrary;
+} else if (typeof window !== 'undefined') {
+  window.PatternTemplateLibrary = PatternTemplateLibrary;
+  window.histofyTemplateLibrary = new PatternTemplateLibrary();
+}
@@ -0,0 +1,287 @@
+// Text banner generator for Histofy extension
+// Renders a string with a 7-row pixel font onto the contribution graph's week grid
+class TextBannerGenerator {
+  constructor() {
+    this.rows = 7;
+    this.letterSpacing = 1;
+
+    // 7-row pixel font, '#' is ink and '.' is background. Glyphs may differ in width.
+    this.font = {
+      'A': ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+      'B': ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+      'C': ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+      'D': ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+      'E': ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+      'F': ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+      'G': ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+      'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+      'I': ['###', '.#.', '.#.', '.#.', '.#.', '.#.', '###'],
+      'J': ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+      'K': ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+      'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+      'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+      'N': ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+      'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+      'P': ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+      'Q': ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+      'R': ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+      'S': ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+      'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+      'U': ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+      'V': ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+      'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+      'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+      'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+      'Z': ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+      '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+      '1': ['.#.', '##.', '.#.', '.#.', '.#.', '.#.', '###'],
+      '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+      '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+      '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+      '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+      '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+      '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+      '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+      '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+      ' ': ['...', '...', '...', '...', '...', '...', '...'],
+      '.': ['.', '.', '.', '.', '.', '.', '#'],
+      ',': ['..', '..', '..', '..', '..', '.#', '#.'],
+      '!': ['#', '#', '#', '#', '#', '.', '#'],
+      '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+      ':': ['.', '#', '#', '.', '#', '#', '.'],
+      '\'': ['#', '#', '.', '.', '.', '.', '.'],
+      '-': ['....', '....', '....', '####', '....', '....', '....'],
+      '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+      '/': ['....#', '....#', '...#.', '..#..', '.#...', '#....', '#....'],
+      '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.'],
+      '&': ['.##..', '#..#.', '#.#..', '.#...', '#.#.#', '#..#.', '.##.#'],
+      '@': ['.###.', '#...#', '#.###', '#.#.#', '#.###', '#....', '.####'],
+      '<': ['...#', '..#.', '.#..', '#...', '.#..', '..#.', '...#'],
+      '>': ['#...', '.#..', '..#.', '...#', '..#.', '.#..', '#...'],
+      '=': ['....', '....', '####', '....', '####', '....', '....'],
+      '_': ['.....', '.....', '.....', '.....', '.....', '.....', '#####'],
+      '(': ['..#', '.#.', '#..', '#..', '#..', '.#.', '..#'],
+      ')': ['#..', '.#.', '..#', '..#', '..#', '.#.', '#..'],
+      '*': ['.....', '#.#.#', '.###.', '#####', '.###.', '#.#.#', '.....'],
+      '♥': ['.....', '.#.#.', '#####', '#####', '.###.', '..#..', '.....']
+    };
+
+    this.defaultOptions = {
+      offset: 0,
+      alignment: 'left',
+      inkLevel: 4,
+      backgroundLevel: 0
+    };
+
+    this.panel = null;
+  }
+
+  // Glyph for a character, or null when the font has no glyph for it
+  getGlyph(char) {
+    return this.font[char.toUpperCase()] || this.font[char] || null;
+  }
+
+  // Characters of the text that the font cannot render
+  getUnsupportedCharacters(text) {
+    return [...new Set([...text].filter(char => !this.getGlyph(char)))];
+  }
+
+  // Lay the text out as columns of 7 booleans (true = ink)
+  renderColumns(text) {
+    const columns = [];
+    const glyphs = [...text].map(char => this.getGlyph(char)).filter(Boolean);
+
+    glyphs.forEach((glyph, index) => {
+      const width = glyph[0].length;
+      for (let x = 0; x < width; x++) {
+        columns.push(glyph.map(row => row[x] === '#'));
+      }
+      if (index < glyphs.length - 1) {
+        for (let gap = 0; gap < this.letterSpacing; gap++) {
+          columns.push(new Array(this.rows).fill(false));
+        }
+      }
+    });
+
+    return columns;
+  }
+
+  // First grid column of the text for an alignment; offset moves it away from the aligned edge
+  getStartColumn(width, gridColumns, alignment, offset) {
+    switch (alignment) {
+      case 'center':
+        return Math.floor((gridColumns - width) / 2) + offset;
+      case 'right':
+        return gridColumns - width - offset;
+      default:
+        return offset;
+    }
+  }
+
+  // Render text onto a graph grid ({ columns, cells: { 'column:day': date } }) and
+  // return the level per date plus anything that did not fit
+  generate(text, grid, options = {}) {
+    const settings = { ...this.defaultOptions, ...options };
+    const columns = this.renderColumns(text);
+    const width = columns.length;
+    const startColumn = this.getStartColumn(width, grid.columns, settings.alignment, settings.offset);
+    const levels = {};
+    const warnings = [];
+    let clippedColumns = 0;
+    let clippedPixels = 0;
+
+    if (settings.backgroundLevel > 0) {
+      Object.values(grid.cells).forEach(date => {
+        levels[date] = settings.backgroundLevel;
+      });
+    }
+
+    columns.forEach((column, x) => {
+      const gridColumn = startColumn + x;
+      const outside = gridColumn < 0 || gridColumn >= grid.columns;
+      if (outside) clippedColumns++;
+
+      column.forEach((ink, day) => {
+        if (!ink) return;
+        const date = outside ? null : grid.cells[`${gridColumn}:${day}`];
+        if (date) {
+          levels[date] = settings.inkLevel;
+        } else {
+          clippedPixels++;
+        }
+      });
+    });
+
+    if (clippedColumns > 0) {
+      warnings.push(`Text is ${width} weeks wide and overflows the year by ${clippedColumns} week${clippedColumns === 1 ? '' : 's'}`);
+    }
+    if (clippedPixels > 0 && clippedColumns === 0) {
+      warnings.push(`${clippedPixels} pixel${clippedPixels === 1 ? '' : 's'} fall on days outside the year and were dropped`);
+    } else if (clippedPixels > 0) {
+      warnings.push(`${clippedPixels} pixel${clippedPixels === 1 ? '' : 's'} could not be placed`);
+    }
+
+    const unsupported = this.getUnsupportedCharacters(text);
+    if (unsupported.length > 0) {
+      warnings.push(`No glyph for ${unsupported.map(char => `"${char}"`).join(', ')} - skipped`);
+    }
+
+    return {
+      levels: levels,
+      width: width,
+      startColumn: startColumn,
+      gridColumns: grid.columns,
+      clippedColumns: clippedColumns,
+      clippedPixels: clippedPixels,
+      warnings: warnings
+    };
+  }
+
+  // Form shown in the overlay's generator area
+  renderPanel(container, overlay) {
+    this.panel = container;
+    const levelOptions = (selected, includeNone) => [includeNone ? 0 : null, 1, 2, 3, 4]
+      .filter(level => level !== null)
+      .map(level => {
+        const label = level === 0 ? 'None' : `${overlay.contributionLevels[level].name} (${level})`;
+        return `<option value="${level}" ${level === selected ? 'selected' : ''}>${label}</option>`;
+      }).join('');
+
+    container.innerHTML = `
+      <div class="histofy-generator-title">🔤 Text Banner</div>
+      <div class="histofy-generator-row">
+        <input type="text" id="histofy-banner-text" class="histofy-generator-input" placeholder="Text to write across the year" maxlength="40">
+      </div>
+      <div class="histofy-generator-row">
+        <label>Align
+          <select id="histofy-banner-align">
+            <option value="left">Left</option>
+            <option value="center">Center</option>
+            <option value="right">Right</option>
+          </select>
+        </label>
+        <label>Offset
+          <input type="number" id="histofy-banner-offset" value="${this.defaultOptions.offset}" min="-52" max="52" step="1">
+        </label>
+        <label>Ink
+          <select id="histofy-banner-ink">${levelOptions(this.defaultOptions.inkLevel, false)}</select>
+        </label>
+        <label>Background
+          <select id="histofy-banner-background">${levelOptions(this.defaultOptions.backgroundLevel, true)}</select>
+        </label>
+      </div>
+      <div class="histofy-generator-info" id="histofy-banner-info"></div>
+      <div class="histofy-generator-actions">
+        <label class="histofy-generator-check">
+          <input type="checkbox" id="histofy-banner-replace" checked> Replace current selection
+        </label>
+        <button class="histofy-generator-apply" id="histofy-banner-apply">Apply to graph</button>
+      </div>
+    `;
+
+    const update = () => this.updatePanelInfo(overlay);
+    container.querySelectorAll('input, select').forEach(input => {
+      input.addEventListener('input', update);
+      input.addEventListener('change', update);
+    });
+
+    container.querySelector('#histofy-banner-apply').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.applyToOverlay(overlay);
+    });
+
+    update();
+  }
+
+  getPanelOptions() {
+    return {
+      text: this.panel.querySelector('#histofy-banner-text').value,
+      alignment: this.panel.querySelector('#histofy-banner-align').value,
+      offset: parseInt(this.panel.querySelector('#histofy-banner-offset').value, 10) || 0,
+      inkLevel: parseInt(this.panel.querySelector('#histofy-banner-ink').value, 10),
+      backgroundLevel: parseInt(this.panel.querySelector('#histofy-banner-background').value, 10),
+      replace: this.panel.querySelector('#histofy-banner-replace').checked
+    };
+  }
+
+  updatePanelInfo(overlay) {
+    if (!this.panel) return;
+    const info = this.panel.querySelector('#histofy-banner-info');
+    const options = this.getPanelOptions();
+
+    if (!options.text.trim()) {
+      info.innerHTML = '<span class="histofy-generator-muted">Type some text to see how it fits</span>';
+      return;
+    }
+
+    const result = this.generate(options.text, overlay.getGraphGrid(), options);
+    const lines = [`${result.width} of ${result.gridColumns} weeks wide, starting at week ${result.startColumn + 1}`];
+    info.innerHTML = lines.concat(result.warnings.map(warning => `<span class="histofy-generator-warning">⚠️ ${escapeHtml(warning)}</span>`)).join('<br>');
+  }
+
+  applyToOverlay(overlay) {
+    const options = this.getPanelOptions();
+    if (!options.text.trim()) return;
+
+    const result = this.generate(options.text, overlay.getGraphGrid(), options);
+    if (result.warnings.length > 0 && !confirm(`${result.warnings.join('\n')}\n\nApply the banner anyway?`)) {
+      return;
+    }
+
+    const applied = overlay.applyGeneratedLevels(result.levels, {
+      label: 'Text banner',
+      replace: options.replace
+    });
+    this.panel.querySelector('#histofy-banner-info').innerHTML =
+      `<span class="histofy-generator-success">✅ Banner applied to ${applied} days</span>`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextBannerGenerator;
+} else if (typeof window !== 'undefined') {
+  window.TextBannerGenerator = TextBannerGenerator;
+  window.histofyTextBanner = new TextBannerGenerator();
+}
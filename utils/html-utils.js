@@ -0,0 +1,13 @@
+// Shared HTML helpers for Histofy content scripts and the popup
+
+// Text made safe to interpolate into innerHTML (null and undefined become '')
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { escapeHtml };
+}